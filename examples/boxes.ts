@@ -0,0 +1,17 @@
+import { BOX_STYLES, Canvas } from '..';
+
+const canvas = Canvas.create().reset().hideCursor();
+const styles = Object.entries(BOX_STYLES);
+
+styles.forEach(([name, style], index) => {
+  const x = index * 16;
+
+  canvas.background('#1E1E1E').fillRect({ height: 7, width: 15, x, y: 0 });
+  canvas.foreground('#FFC107').strokeRect({ height: 7, style, width: 15, x, y: 0 });
+  canvas.horizontalLine(x, 2, 15, style);
+  canvas.foreground('white').text(x + 1, 1, 13, name, { align: 'center' });
+  canvas.text(x + 1, 3, 13, 'The quick brown fox jumps over the lazy dog', { ellipsis: true, height: 3, wrap: true });
+});
+
+canvas.background('none').foreground('#03A9F4').line({ char: '•', x1: 0, x2: styles.length * 16 - 2, y1: 8, y2: 12 });
+canvas.moveTo(0, 14).flush().showCursor();
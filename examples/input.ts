@@ -0,0 +1,31 @@
+import { Canvas, IKeyEvent, IMouseEvent, IPasteEvent, Input } from '..';
+
+const canvas = Canvas.create().reset().hideCursor();
+const input = Input.create({ output: canvas.stream });
+
+input.on('key', (event: IKeyEvent) => {
+  if (event.ctrl && event.name === 'c') {
+    input.disable();
+    canvas.moveTo(0, canvas.height - 1).flush()
+      .showCursor();
+    return;
+  }
+
+  canvas.moveTo(0, 0).eraseLine()
+    .write(`Key: ${event.ctrl ? 'Ctrl+' : ''}${event.name}`)
+    .flush();
+});
+
+input.on('mouse', (event: IMouseEvent) => {
+  if (event.action === 'press' || event.action === 'drag') {
+    canvas.moveTo(event.x, event.y).write('#').flush();
+  }
+});
+
+input.on('paste', (event: IPasteEvent) => {
+  canvas.moveTo(0, 1).eraseLine()
+    .write(`Pasted: ${event.text}`)
+    .flush();
+});
+
+input.enable();
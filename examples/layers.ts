@@ -0,0 +1,26 @@
+import { Canvas } from '..';
+
+const canvas = Canvas.create().reset().hideCursor();
+const log = canvas.createLayer({ height: canvas.height - 1 });
+const status = canvas.createLayer({ height: 1, y: canvas.height - 1 });
+const modal = canvas.createLayer({ height: 5, width: 30, x: 10, y: 3, zIndex: 1 });
+
+modal.background('#1E1E1E').fillRect();
+modal.foreground('#FFC107').strokeRect();
+modal.foreground('white').text(1, 2, 28, 'Modal is over the log', { align: 'center' });
+
+let line = 0;
+const timer = setInterval(() => {
+  log.moveTo(0, line % log.height).eraseLine().write(`Log line #${line}`);
+  status.background('#03A9F4').fillRect();
+  status.moveTo(0, 0).write(`Lines: ${line}`);
+  modal.x = 10 + line % 20;
+
+  canvas.flush();
+  line += 1;
+}, 100);
+
+setTimeout(() => {
+  clearInterval(timer);
+  canvas.moveTo(0, canvas.height - 1).flush().showCursor();
+}, 5000);
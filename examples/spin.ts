@@ -1,22 +1,24 @@
 import { Canvas } from '..';
 
-const canvas = Canvas.create().reset();
+const canvas = Canvas.create();
 const radius = 10;
 const colors = ['red', 'yellow', 'green', 'dark_cyan', 'blue', 'magenta'];
 
 let points: Array<[number, number]> = [];
 let theta = 0;
 
-setInterval(() => {
+canvas.start(30, () => {
   const x = 2 + (radius + Math.cos(theta) * radius) * 2;
   const y = 2 + radius + Math.sin(theta) * radius;
 
   points.unshift([x, y]);
   points.forEach((point, i) => {
     canvas.moveTo(point[0], point[1]);
-    canvas.background(colors[Math.floor(i / 12)]).write(' ').flush();
+    canvas.background(colors[Math.floor(i / 12)]).write(' ');
   });
 
   points = points.slice(0, 12 * colors.length - 1);
   theta += Math.PI / 40;
-}, 30);
+});
+
+setTimeout(() => canvas.stop(), 10000);
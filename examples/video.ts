@@ -12,8 +12,9 @@ import { Throttle } from 'stream-throttle';
 import ffmpeg from 'fluent-ffmpeg';
 
 const YOUTUBE_URL = process.env.YOUTUBE_URL ?? 'https://www.youtube.com/watch?v=Hiqn1Ur32AE';
-const CHARACTERS = ' .,:;i1tfLCG08@'.split('');
-const canvas = Canvas.create().reset();
+const CHARACTERS = '@80GCLft1i;:,. ';
+const CONTRAST_FACTOR = 2.95;
+const canvas = Canvas.create();
 
 function playVideo (info: videoInfo): void {
   // eslint-disable-next-line @typescript-eslint/no-non-null-assertion
@@ -23,10 +24,24 @@ function playVideo (info: videoInfo): void {
 
   // eslint-disable-next-line @typescript-eslint/no-non-null-assertion
   const videoSize = { width: video.width!, height: video.height! }!;
-  const scale = Math.min(canvas.width / videoSize.width, canvas.height / videoSize.height);
+  // Cells are twice as tall as wide, so there are two pixels in each cell vertically
+  const scale = Math.min(canvas.width / videoSize.width, canvas.height * 2 / videoSize.height);
   const frameWidth = Math.floor(videoSize.width * scale);
   const frameHeight = Math.floor(videoSize.height * scale);
   const frameSize = frameWidth * frameHeight * 3;
+  const mode = process.env.USE_COLOR === 'true' ? 'half-block' : 'ascii';
+  let image = { data: Buffer.alloc(frameSize) as ArrayLike<number>, height: frameHeight, width: frameWidth };
+
+  const drawFrame = (): void => {
+    canvas.drawImage(image, {
+      height: Math.floor(frameHeight / 2),
+      mode,
+      ramp: CHARACTERS,
+      width: frameWidth,
+      x: Math.floor(canvas.width / 2 - frameWidth / 2),
+      y: Math.floor(canvas.height / 2 - frameHeight / 4),
+    });
+  };
 
   ffmpeg(video.url)
     .format('rawvideo')
@@ -36,44 +51,18 @@ function playVideo (info: videoInfo): void {
     ])
     .outputOptions('-pix_fmt', 'rgb24')
     .outputOptions('-update', '1')
-    .on('start', () => canvas.saveScreen().reset())
-    .on('end', () => canvas.restoreScreen())
+    .on('start', () => canvas.start(30, drawFrame))
+    .on('end', () => canvas.stop())
     .pipe(new Throttle({ rate: frameSize * 30 }))
     .pipe(new ChopStream(frameSize))
-    .on('data', (frameData: number[]) => {
-      if (process.env.USE_COLOR === 'true') {
-        for (let y = 0; y < frameHeight; y += 1) {
-          for (let x = 0; x < frameWidth; x += 1) {
-            const offset = (y * frameWidth + x) * 3;
-            const r = frameData[offset];
-            const g = frameData[offset + 1];
-            const b = frameData[offset + 2];
-
-            canvas
-              .moveTo(x + (canvas.width / 2 - frameWidth / 2), y + (canvas.height / 2 - frameHeight / 2))
-              .background(`rgb(${r}, ${g}, ${b})`)
-              .write(' ');
-          }
-        }
-      } else {
-        const contrastFactor = 2.95;
-
-        for (let y = 0; y < frameHeight; y += 1) {
-          for (let x = 0; x < frameWidth; x += 1) {
-            const offset = (y * frameWidth + x) * 3;
-            const r = Math.max(0, Math.min(contrastFactor * (frameData[offset] - 128) + 128, 255));
-            const g = Math.max(0, Math.min(contrastFactor * (frameData[offset + 1] - 128) + 128, 255));
-            const b = Math.max(0, Math.min(contrastFactor * (frameData[offset + 2] - 128) + 128, 255));
-            const brightness = 1 - (0.299 * r + 0.587 * g + 0.114 * b) / 255;
-
-            canvas
-              .moveTo(x + (canvas.width / 2 - frameWidth / 2), y + (canvas.height / 2 - frameHeight / 2))
-              .write(CHARACTERS[Math.round(brightness * 14)]);
-          }
-        }
-      }
+    .on('data', (frameData: Buffer) => {
+      // Washed-out frames would use only a few chars in the middle of the ramp, so the contrast is stretched for ASCII
+      const data = mode === 'ascii'
+        ? Array.from(frameData, (value) => Math.max(0, Math.min(CONTRAST_FACTOR * (value - 128) + 128, 255)))
+        : frameData;
 
-      canvas.flush();
+      // Only the latest frame is drawn, frames that come while the terminal is busy are skipped
+      image = { data, height: frameHeight, width: frameWidth };
     });
 }
 
@@ -99,4 +88,4 @@ function playAudio (info: videoInfo): NodeJS.WritableStream {
   playAudio(info);
 })().catch((error) => process.stderr.write(error));
 
-process.on('SIGTERM', () => canvas.restoreScreen());
+process.on('SIGTERM', () => canvas.stop());
@@ -0,0 +1,13 @@
+/**
+ * Box-drawing styles for borders and lines.
+ * Each style is a string of 16 chars, where the index of the char is a bit mask of the arms it connects:
+ * 1 is up, 2 is right, 4 is down and 8 is left, e.g. index 6 (right and down) is the top left corner.
+ * So the junction of two borders is the char at the index of their combined arms.
+ */
+export const BOX_STYLES = {
+  ASCII: ' |-+||++-+-+++++',
+  DOUBLE: ' ║═╚║║╔╠═╝═╩╗╣╦╬',
+  HEAVY: ' ┃━┗┃┃┏┣━┛━┻┓┫┳╋',
+  ROUNDED: ' │─╰││╭├─╯─┴╮┤┬┼',
+  SINGLE: ' │─└││┌├─┘─┴┐┤┬┼',
+};
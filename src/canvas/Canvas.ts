@@ -1,9 +1,35 @@
 import { Color, IColor } from '../color/Color';
+import { ICanvasOptions, ICanvasStream } from './CanvasOptions';
+import { IImageData, IPixel, IQuantizer } from '../image/ImageData';
+import { IKeyEvent, IMouseEvent, IPasteEvent } from '../input/InputEvents';
+import { BOX_STYLES } from '../box/BoxStyles';
+import { COLOR_DEPTHS } from '../color/ColorDepths';
 import { Cell } from '../cell/Cell';
-import { ICanvasOptions } from './CanvasOptions';
+import { Encoder } from '../encoder/Encoder';
+import { EventEmitter } from 'events';
 import { IDisplayOptions } from '../cell/DisplayOptions';
-import { WriteStream } from 'tty';
+import { IImageOptions } from './ImageOptions';
+import { ILayerOptions } from './LayerOptions';
+import { ILineOptions } from './LineOptions';
+import { IRectOptions } from './RectOptions';
+import { IRenderOptions } from './RenderOptions';
+import { ITextOptions } from './TextOptions';
+import { Input } from '../input/Input';
+import { InputParser } from '../input/InputParser';
+import { VirtualTerminal } from '../terminal/VirtualTerminal';
+import { detectColorDepth } from '../color/detectColorDepth';
+import { ditherFloydSteinberg } from '../image/ditherFloydSteinberg';
+import { ditherOrdered } from '../image/ditherOrdered';
 import { encodeToVT100 } from '../encodeToVT100';
+import { getGraphemeWidth } from '../grapheme/getGraphemeWidth';
+import { getTextFromCells } from '../cell/getTextFromCells';
+import { getTextWidth } from '../grapheme/getTextWidth';
+import { scaleImage } from '../image/scaleImage';
+import { segmentGraphemes } from '../grapheme/segmentGraphemes';
+import { truncateText } from '../text/truncateText';
+import { wrapText } from '../text/wrapText';
+
+export { BOX_STYLES, COLOR_DEPTHS, IKeyEvent, IMouseEvent, IPasteEvent, Input, InputParser, VirtualTerminal };
 
 /**
  * Canvas implements low-level API to terminal control codes.
@@ -15,12 +41,25 @@ import { encodeToVT100 } from '../encodeToVT100';
  * @see http://wiki.bash-hackers.org/scripting/terminalcodes
  * @since 1.0.0
  */
-export class Canvas implements ICanvasOptions {
-  public readonly cells: Cell[];
+export class Canvas extends EventEmitter implements ICanvasOptions {
+  // Bits of the Braille dots for each pixel of 2x4 block, row by row
+  private static readonly BRAILLE_DOTS = [0x1, 0x8, 0x2, 0x10, 0x4, 0x20, 0x40, 0x80];
+  private static readonly ASCII_RAMP = ' .:-=+*#%@';
+
+  public cells: Cell[];
   public lastFrame: string[];
-  public stream: WriteStream = process.stdout;
+  public encoder: Encoder;
+  public stream: ICanvasStream = process.stdout;
   public width: number;
   public height: number;
+  public colorDepth: number;
+  public x = 0;
+  public y = 0;
+  public zIndex = 0;
+  public parent: Canvas | null = null;
+  public layers: Canvas[] = [];
+  public isRunning = false;
+  public isWaitingForDrain = false;
   public cursorX = 0;
   public cursorY = 0;
   public cursorBackground: IColor = { r: -1, g: -1, b: -1 };
@@ -34,20 +73,35 @@ export class Canvas implements ICanvasOptions {
     underlined: false,
   };
 
+  private lastCells: Cell[];
+  private sortedLayers: Canvas[] = [];
+  private renderTimer: NodeJS.Timeout | null = null;
+  private renderOptions: IRenderOptions = { altScreen: true, hideCursor: true, synchronized: false };
+  private readonly onStreamResize: () => void;
+  private readonly onStreamDrain: () => void;
+  private readonly onProcessExit: () => void;
+  private readonly onProcessSigint: () => void;
+
   /**
    * Creates canvas that writes direct to `stdout` by default.
-   * You can override destination stream with another Writable stream.
+   * You can override destination stream with another Writable stream, e.g. {@link VirtualTerminal} for testing.
    * Also, you can specify custom width and height of viewport where cursor will render the frame.
+   * If width or height is not specified and stream is a TTY, canvas follows the size of the stream when it resizes.
+   * Color depth is detected from the stream and environment, unless you specify it explicitly.
    *
    * @constructor
    * @param {Object} [options]
    * @param {Stream} [options.stream=process.stdout] Writable stream
    * @param {Number} [options.width=stream.columns] Number of columns (width)
    * @param {Number} [options.height=stream.rows] Number of rows (height)
+   * @param {Number} [options.colorDepth] Color depth of the terminal, one of {@link COLOR_DEPTHS}
    * @example
    * Canvas.create({stream: fs.createWriteStream(), width: 20, height: 20});
+   * Canvas.create({colorDepth: COLOR_DEPTHS.ANSI_256});
    */
   public constructor (options?: Partial<ICanvasOptions>) {
+    super();
+
     if (typeof options?.stream !== 'undefined') {
       this.stream = options.stream;
     }
@@ -62,11 +116,36 @@ export class Canvas implements ICanvasOptions {
       this.height = options.height;
     }
 
+    this.colorDepth = detectColorDepth(this.stream);
+    if (typeof options?.colorDepth !== 'undefined') {
+      this.colorDepth = options.colorDepth;
+    }
+
+    this.encoder = Encoder.create(this.colorDepth);
+
     this.cells = Array
       .from<Cell>({ length: this.width * this.height })
       .map((_, index) => new Cell(' ', { x: this.getXYFromPointer(index)[0], y: this.getXYFromPointer(index)[1] }));
 
     this.lastFrame = Array.from<string>({ length: this.width * this.height }).fill('');
+    this.lastCells = [...this.cells];
+
+    this.onStreamResize = () => this.resize(options?.width ?? this.stream.columns, options?.height ?? this.stream.rows);
+    if (this.stream.isTTY && (typeof options?.width === 'undefined' || typeof options.height === 'undefined')) {
+      this.stream.on('resize', this.onStreamResize);
+    }
+
+    this.onStreamDrain = () => {
+      this.isWaitingForDrain = false;
+    };
+
+    this.onProcessExit = () => this.stop();
+    this.onProcessSigint = () => {
+      this.stop();
+
+      // Listening to SIGINT disables the default handler, so send it again to exit if nobody else handles it
+      if (process.listenerCount('SIGINT') === 0) process.kill(process.pid, 'SIGINT');
+    };
   }
 
   /**
@@ -79,40 +158,156 @@ export class Canvas implements ICanvasOptions {
     return new this(options);
   }
 
+  /**
+   * Check if the bit flag is set in the code.
+   *
+   * @private
+   * @static
+   * @param {Number} code Code with bit flags
+   * @param {Number} flag Value of the flag, power of two
+   * @returns {Boolean}
+   */
+  private static hasFlag (code: number, flag: number): boolean {
+    return Math.floor(code / flag) % 2 === 1;
+  }
+
+  /**
+   * Get the arms of the box-drawing char, so it can be joined with another border.
+   * The char is looked up in the specified style first and then in all of {@link BOX_STYLES} except ASCII,
+   * so plain text chars like `-`, `|` and `+` are joined only with the borders that are drawn in ASCII style.
+   *
+   * @private
+   * @static
+   * @param {String} char Char in the cell
+   * @param {String} style Box-drawing style of the border that is drawn over the char
+   * @returns {Number} Returns a bit mask of the arms (1 is up, 2 is right, 4 is down, 8 is left) or 0
+   */
+  private static getBoxMask (char: string, style: string): number {
+    if (char.length !== 1) return 0;
+
+    // Lines are stored at the last index for their direction, so the full line is found instead of a half of it
+    const unicodeStyles = Object.values(BOX_STYLES).filter((boxStyle) => boxStyle !== BOX_STYLES.ASCII);
+
+    for (const boxStyle of [style, ...unicodeStyles]) {
+      const mask = boxStyle.lastIndexOf(char);
+      if (mask > 0) return mask;
+    }
+
+    return 0;
+  }
+
+  /**
+   * Get the quantizer to the colors that are available with the color depth.
+   * Colors are not changed if the color depth is true color or colors are disabled at all.
+   *
+   * @private
+   * @static
+   * @param {Number} colorDepth One of {@link COLOR_DEPTHS}
+   * @returns {Object} Returns the quantizer for dithering
+   */
+  private static getColorQuantizer (colorDepth: number): IQuantizer {
+    if (colorDepth >= COLOR_DEPTHS.TRUECOLOR || colorDepth <= COLOR_DEPTHS.NONE) {
+      return { quantize: (color) => color, step: 0 };
+    }
+
+    if (colorDepth >= COLOR_DEPTHS.ANSI_256) {
+      return { quantize: (color) => Color.fromAnsi256(Color.create(color).toAnsi256()).toRgb(), step: 51 };
+    }
+
+    return { quantize: (color) => Color.fromAnsi256(Color.create(color).toAnsi16()).toRgb(), step: 128 };
+  }
+
+  /**
+   * Get the quantizer to the specified number of gray levels.
+   *
+   * @private
+   * @static
+   * @param {Number} levels Number of gray levels, including black and white
+   * @returns {Object} Returns the quantizer for dithering
+   */
+  private static getGrayQuantizer (levels: number): IQuantizer {
+    const step = 255 / Math.max(levels - 1, 1);
+
+    return {
+      quantize: (color) => {
+        const gray = Math.round(Math.round(color.r / step) * step);
+        return { b: gray, g: gray, r: gray };
+      },
+      step,
+    };
+  }
+
+  /**
+   * Quantize the pixels with the specified dithering and split them into rows.
+   * Without dithering pixels are kept as is, they are quantized to the nearest color when drawn.
+   *
+   * @private
+   * @static
+   * @param {Array<Object>} pixels Pixels of the image, row by row
+   * @param {Number} width Number of pixels in the row
+   * @param {Object} quantizer Quantizer to the available colors
+   * @param {String} dither Dithering: floyd-steinberg, ordered or none
+   * @returns {Array<Array<Object>>} Returns the rows of quantized pixels
+   */
+  private static ditherPixels (pixels: IPixel[], width: number, quantizer: IQuantizer, dither: string): IPixel[][] {
+    let result = pixels;
+    if (dither === 'floyd-steinberg') result = ditherFloydSteinberg(pixels, width, quantizer);
+    if (dither === 'ordered') result = ditherOrdered(pixels, width, quantizer);
+
+    const rows = [];
+    for (let i = 0; i < result.length; i += width) rows.push(result.slice(i, i + width));
+
+    return rows;
+  }
+
+  /**
+   * Convert the pixels to grayscale by their luminance.
+   *
+   * @private
+   * @static
+   * @param {Array<Object>} pixels Pixels of the image
+   * @returns {Array<Object>}
+   */
+  private static getGrayPixels (pixels: IPixel[]): IPixel[] {
+    return pixels.map(({ alpha, r, g, b }) => {
+      const gray = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+      return { alpha, b: gray, g: gray, r: gray };
+    });
+  }
+
   /**
    * Write to the buffer.
    * It doesn't apply immediately, but stores in virtual terminal that represented as array of {@link Cell} instances.
    * For applying changes, you need to call {@link flush} method.
    *
+   * Data is split into grapheme clusters, so combining marks and emoji sequences are kept in one cell.
+   * Wide clusters (CJK, emoji) occupy two cells, where the second one is a continuation of the first one.
+   * If wide cluster is clipped by the edge of the canvas, its visible half is filled with a space.
+   *
    * @param {String} data Data to write to the terminal
    * @returns {Canvas}
    * @example
    * canvas.write('Hello, world').flush();
+   * canvas.write('你好, 世界').flush();
    */
   public write (data: string): Canvas {
     const { width, height } = this;
-    const background = this.cursorBackground;
-    const foreground = this.cursorForeground;
-    const display = this.cursorDisplay;
 
-    for (const char of data) {
+    for (const char of segmentGraphemes(data)) {
       const x = this.cursorX;
       const y = this.cursorY;
-      const pointer = this.getPointerFromXY(x, y);
+      const charWidth = getGraphemeWidth(char);
 
-      if (x >= 0 && x < width && y >= 0 && y < height) {
-        const cell = this.cells[pointer];
-
-        cell.setChar(char);
-        cell.setX(x);
-        cell.setY(y);
-        cell.setBackground(background.r, background.g, background.b);
-        cell.setForeground(foreground.r, foreground.g, foreground.b);
-        cell.setDisplay(display);
-        cell.isModified = true;
+      if (y >= 0 && y < height) {
+        if (charWidth > 1 && (x === -1 || x === width - 1)) {
+          this.setCell(Math.max(x, 0), y, ' ');
+        } else if (x >= 0 && x < width) {
+          this.setCell(x, y, char);
+          if (charWidth > 1) this.setCell(x + 1, y, '', true);
+        }
       }
 
-      this.cursorX += 1;
+      this.cursorX += charWidth;
     }
 
     return this;
@@ -123,28 +318,241 @@ export class Canvas implements ICanvasOptions {
    * Firstly, we get modified cells that have been affected by {@link write} method.
    * Secondly, we compare these modified cells with the last frame.
    * If cell has changes that doesn't equal to the cell from the last frame - write to the stream.
+   * Continuation cells of wide chars are never written, they are painted by the first cell of the wide char.
+   * Changed cells are encoded with {@link Encoder}, so cursor moves and SGR attributes are emitted only if needed.
+   *
+   * Layers are composited before comparing, so each cell of the frame is taken from the topmost layer that isn't
+   * transparent at that position, or from the canvas itself.
+   * Cells that are uncovered by moving, re-ordering or removing the layer are compared again, even if not modified.
+   * Wide chars of the layers that are cut in half by the edges of the canvas are replaced with spaces.
+   * Flushing a layer flushes the canvas it belongs to.
+   * If the stream buffer is full, `isWaitingForDrain` is set until the stream emits `drain`.
    *
    * @returns {Canvas}
    */
   public flush (): Canvas {
+    if (this.parent !== null) {
+      this.parent.flush();
+      return this;
+    }
+
     let payload = '';
+    this.sortLayers();
 
     for (let i = 0; i < this.cells.length; i += 1) {
-      const cell = this.cells[i];
+      const [x, y] = this.getXYFromPointer(i);
+      const cell = this.getFrameCell(x, y);
 
-      if (cell.isModified) {
-        cell.isModified = false;
+      if (cell.isModified || cell !== this.lastCells[i]) {
+        this.lastCells[i] = cell;
         const cellSeq = cell.toString();
 
         if (cellSeq !== this.lastFrame[i]) {
           this.lastFrame[i] = cellSeq;
-          payload += cellSeq;
+          if (!cell.isContinuation) payload += this.encoder.encode(cell, x, y);
         }
       }
     }
 
-    this.stream.write(payload);
+    this.clearModified();
+    payload += this.encoder.reset();
+
+    if (this.isRunning && this.renderOptions.synchronized) {
+      payload = encodeToVT100('[?2026h') + payload + encodeToVT100('[?2026l');
+    }
+
+    if (!this.stream.write(payload) && !this.isWaitingForDrain) {
+      this.isWaitingForDrain = true;
+      this.stream.once('drain', this.onStreamDrain);
+    }
+
+    return this;
+  }
+
+  /**
+   * Start the render loop, which calls the draw function and flushes the canvas at the specified frame rate.
+   * While the stream is waiting for `drain`, frames are still drawn but not flushed, so the changes of skipped frames
+   * are coalesced into the next flush instead of queueing stale frames in the stream buffer.
+   * Alternate screen and cursor visibility are switched immediately and restored by {@link stop},
+   * which is called on process exit and SIGINT as well. Switching the screen repaints all the cells on the next flush.
+   *
+   * @param {Number} fps Maximum number of frames per second
+   * @param {Function} draw Function that draws the frame, it's called with the canvas before each flush
+   * @param {Object} [options]
+   * @param {Boolean} [options.altScreen=true] Render on the alternate screen (1049)
+   * @param {Boolean} [options.hideCursor=true] Hide the cursor while rendering
+   * @param {Boolean} [options.synchronized=false] Wrap each frame in synchronized update (2026) to prevent tearing
+   * @returns {Canvas}
+   * @example
+   * canvas.start(30, (frame) => frame.moveTo(0, 0).write(new Date().toISOString()));
+   * canvas.start(60, draw, { synchronized: true });
+   */
+  public start (fps: number, draw: (canvas: Canvas) => void, options?: Partial<IRenderOptions>): Canvas {
+    this.stop();
+
+    this.isRunning = true;
+    this.renderOptions = {
+      altScreen: options?.altScreen ?? true,
+      hideCursor: options?.hideCursor ?? true,
+      synchronized: options?.synchronized ?? false,
+    };
+
+    if (this.renderOptions.altScreen) this.switchScreen('h');
+    if (this.renderOptions.hideCursor) this.hideCursor();
+    process.on('exit', this.onProcessExit);
+    process.on('SIGINT', this.onProcessSigint);
+
+    const render = (): void => {
+      draw(this);
+      if (!this.isWaitingForDrain) this.flush();
+    };
+
+    this.renderTimer = setInterval(render, 1000 / Math.max(fps, 1));
+    render();
+
+    return this;
+  }
+
+  /**
+   * Stop the render loop, started by {@link start}.
+   * Cursor visibility and the main screen are restored.
+   *
+   * @returns {Canvas}
+   * @example
+   * canvas.stop();
+   */
+  public stop (): Canvas {
+    if (this.renderTimer === null) return this;
+
+    clearInterval(this.renderTimer);
+    this.renderTimer = null;
+    this.isRunning = false;
+
+    process.removeListener('exit', this.onProcessExit);
+    process.removeListener('SIGINT', this.onProcessSigint);
+    if (this.renderOptions.hideCursor) this.showCursor();
+    if (this.renderOptions.altScreen) this.switchScreen('l');
+
+    return this;
+  }
+
+  /**
+   * Create an off-screen layer, which is composited into this canvas on {@link flush}.
+   * Layer is a canvas with its own origin, size, cursor and style, so all the drawing methods are available on it.
+   * Writes are clipped to the bounds of the layer, coordinates are relative to its origin.
+   * Cells of the layer are transparent until something is drawn in them, erasing makes them transparent again.
+   * Layers with higher z-index are drawn over the lower ones, layers with the same z-index are stacked in order of
+   * creation. Origin and z-index can be changed between frames via `x`, `y` and `zIndex` properties of the layer.
+   *
+   * @param {Object} [options]
+   * @param {Number} [options.x=0] X coordinate of the layer origin in this canvas
+   * @param {Number} [options.y=0] Y coordinate of the layer origin in this canvas
+   * @param {Number} [options.width] Number of columns, up to the right edge of this canvas by default
+   * @param {Number} [options.height] Number of rows, up to the bottom edge of this canvas by default
+   * @param {Number} [options.zIndex=0] Stack order of the layer
+   * @returns {Canvas} Returns the layer
+   * @example
+   * const modal = canvas.createLayer({ x: 10, y: 5, width: 30, height: 10, zIndex: 1 });
+   * modal.fillRect().strokeRect().text(1, 1, 28, 'Hello').flush();
+   */
+  public createLayer (options?: Partial<ILayerOptions>): Canvas {
+    const x = Math.floor(options?.x ?? 0);
+    const y = Math.floor(options?.y ?? 0);
+    const width = Math.floor(options?.width ?? Math.max(this.width - x, 0));
+    const height = Math.floor(options?.height ?? Math.max(this.height - y, 0));
+    const layer = Canvas.create({ colorDepth: this.colorDepth, height, stream: this.stream, width });
+
+    layer.parent = this;
+    layer.x = x;
+    layer.y = y;
+    layer.zIndex = options?.zIndex ?? 0;
+    for (const cell of layer.cells) cell.isTransparent = true;
+
+    this.layers.push(layer);
+
+    return layer;
+  }
+
+  /**
+   * Remove the layer from this canvas, so it isn't composited anymore.
+   * Cells under the layer are repainted on the next {@link flush}.
+   *
+   * @param {Canvas} layer Layer, created by {@link createLayer}
+   * @returns {Canvas}
+   * @example
+   * canvas.removeLayer(modal).flush();
+   */
+  public removeLayer (layer: Canvas): Canvas {
+    this.layers = this.layers.filter((item) => item !== layer);
+    return this;
+  }
+
+  /**
+   * Get plain text of the cells buffer without any styles, as it will look after {@link flush}.
+   * Rows are separated with a new line and trailing spaces of each row are trimmed.
+   *
+   * @returns {String}
+   * @example
+   * canvas.moveTo(0, 0).write('Hello').toText(); // returns 'Hello\n\n...'
+   */
+  public toText (): string {
+    return getTextFromCells(this.cells, this.width);
+  }
+
+  /**
+   * Resize the canvas.
+   * Cell buffer is reallocated, keeping the content of the region that overlaps with the previous size.
+   * The last frame is invalidated, so the next {@link flush} repaints the whole canvas.
+   * Emits `resize` event with the new width and height, so you can re-layout your application.
+   *
+   * @param {Number} width Number of columns (width)
+   * @param {Number} height Number of rows (height)
+   * @returns {Canvas}
+   * @example
+   * canvas.on('resize', (width, height) => render(width, height));
+   * canvas.resize(80, 24);
+   */
+  public resize (width: number, height: number): Canvas {
+    const newWidth = Math.floor(width);
+    const newHeight = Math.floor(height);
+
+    this.cells = Array
+      .from<Cell>({ length: newWidth * newHeight })
+      .map((_, index) => {
+        const x = index % newWidth;
+        const y = Math.floor(index / newWidth);
+        const pointer = this.getPointerFromXY(x, y);
+        const isOverlapped = x < this.width && y < this.height;
+        const cell = isOverlapped ? this.cells[pointer] : new Cell(' ', { x, y });
+
+        if (!isOverlapped) cell.isTransparent = this.parent !== null;
+
+        // Wide char that is clipped by the new right edge can't be painted anymore
+        if (isOverlapped && x === newWidth - 1 && this.cells[pointer + 1]?.isContinuation) cell.setChar(' ');
+
+        cell.isModified = true;
+        return cell;
+      });
 
+    this.width = newWidth;
+    this.height = newHeight;
+    this.lastFrame = Array.from<string>({ length: newWidth * newHeight }).fill('');
+    this.lastCells = [...this.cells];
+    this.emit('resize', newWidth, newHeight);
+
+    return this;
+  }
+
+  /**
+   * Stop following the size of the stream.
+   * Call it when you don't need the canvas anymore, so it doesn't leak the listener on the stream.
+   *
+   * @returns {Canvas}
+   * @example
+   * canvas.destroy();
+   */
+  public destroy (): Canvas {
+    this.stream.removeListener('resize', this.onStreamResize);
     return this;
   }
 
@@ -399,7 +807,10 @@ export class Canvas implements ICanvasOptions {
     for (let y = y1; y <= y2; y += 1) {
       for (let x = x1; x <= x2; x += 1) {
         const pointer = this.getPointerFromXY(x, y);
-        this.cells[pointer]?.reset();
+        const cell = this.cells[pointer] as Cell | undefined;
+
+        this.eraseWideChar(pointer);
+        if (typeof cell !== 'undefined') cell.reset().isTransparent = this.parent !== null;
       }
     }
 
@@ -472,6 +883,293 @@ export class Canvas implements ICanvasOptions {
     return this.erase(0, 0, this.width - 1, this.height - 1);
   }
 
+  /**
+   * Draw a straight line between two points using Bresenham's algorithm.
+   * The line is drawn with the char and the current cursor style, the position of the cursor is not changed.
+   *
+   * @param {Object} [options]
+   * @param {Number} [options.x1=0] X coordinate of the start point
+   * @param {Number} [options.y1=0] Y coordinate of the start point
+   * @param {Number} [options.x2=0] X coordinate of the end point
+   * @param {Number} [options.y2=0] Y coordinate of the end point
+   * @param {String} [options.char='█'] Char to draw the line with
+   * @returns {Canvas}
+   * @example
+   * canvas.line({ x1: 0, y1: 0, x2: 10, y2: 5 });
+   * canvas.foreground('red').line({ char: '*', x1: 0, x2: 10, y1: 5, y2: 0 });
+   */
+  public line (options?: Partial<ILineOptions>): Canvas {
+    const { cursorX, cursorY } = this;
+    const char = options?.char ?? '█';
+    const [startX, startY, endX, endY] = [options?.x1, options?.y1, options?.x2, options?.y2]
+      .map((value) => Math.floor(value ?? 0));
+    const dx = Math.abs(endX - startX);
+    const dy = -Math.abs(endY - startY);
+    const stepX = startX < endX ? 1 : -1;
+    const stepY = startY < endY ? 1 : -1;
+    let error = dx + dy;
+    let x = startX;
+    let y = startY;
+
+    for (let i = 0; i <= Math.max(dx, -dy); i += 1) {
+      this.moveTo(x, y).write(char);
+
+      const doubleError = 2 * error;
+      if (doubleError >= dy) {
+        error += dy;
+        x += stepX;
+      }
+
+      if (doubleError <= dx) {
+        error += dx;
+        y += stepY;
+      }
+    }
+
+    return this.moveTo(cursorX, cursorY);
+  }
+
+  /**
+   * Draw a horizontal line with box-drawing chars.
+   * If the line crosses or touches other borders, junction chars are used.
+   *
+   * @param {Number} x X coordinate of the start point
+   * @param {Number} y Y coordinate of the start point
+   * @param {Number} length Number of cells in the line
+   * @param {String} [style=BOX_STYLES.SINGLE] One of {@link BOX_STYLES}
+   * @returns {Canvas}
+   * @example
+   * canvas.horizontalLine(0, 5, 20);
+   * canvas.horizontalLine(0, 5, 20, BOX_STYLES.DOUBLE);
+   */
+  public horizontalLine (x: number, y: number, length: number, style = BOX_STYLES.SINGLE): Canvas {
+    const { cursorX, cursorY } = this;
+    const count = Math.floor(length);
+
+    for (let i = 0; i < count; i += 1) {
+      const armRight = i < count - 1 || count === 1 ? 2 : 0;
+      const armLeft = i > 0 || count === 1 ? 8 : 0;
+
+      this.drawBoxChar(Math.floor(x) + i, Math.floor(y), armRight + armLeft, style);
+    }
+
+    return this.moveTo(cursorX, cursorY);
+  }
+
+  /**
+   * Draw a vertical line with box-drawing chars.
+   * If the line crosses or touches other borders, junction chars are used.
+   *
+   * @param {Number} x X coordinate of the start point
+   * @param {Number} y Y coordinate of the start point
+   * @param {Number} length Number of cells in the line
+   * @param {String} [style=BOX_STYLES.SINGLE] One of {@link BOX_STYLES}
+   * @returns {Canvas}
+   * @example
+   * canvas.verticalLine(5, 0, 10);
+   * canvas.verticalLine(5, 0, 10, BOX_STYLES.HEAVY);
+   */
+  public verticalLine (x: number, y: number, length: number, style = BOX_STYLES.SINGLE): Canvas {
+    const { cursorX, cursorY } = this;
+    const count = Math.floor(length);
+
+    for (let i = 0; i < count; i += 1) {
+      const armUp = i > 0 || count === 1 ? 1 : 0;
+      const armDown = i < count - 1 || count === 1 ? 4 : 0;
+
+      this.drawBoxChar(Math.floor(x), Math.floor(y) + i, armUp + armDown, style);
+    }
+
+    return this.moveTo(cursorX, cursorY);
+  }
+
+  /**
+   * Fill the rectangle with the char and the current cursor style.
+   * Filling with spaces is useful for painting the background of the region.
+   *
+   * @param {Object} [options]
+   * @param {Number} [options.x=0] X coordinate of the top left corner
+   * @param {Number} [options.y=0] Y coordinate of the top left corner
+   * @param {Number} [options.width] Width of the rectangle, up to the right edge of the canvas by default
+   * @param {Number} [options.height] Height of the rectangle, up to the bottom edge of the canvas by default
+   * @param {String} [options.char=' '] Char to fill the rectangle with
+   * @returns {Canvas}
+   * @example
+   * canvas.background('blue').fillRect({ x: 0, y: 0, width: 20, height: 10 });
+   * canvas.fillRect({ char: '░' });
+   */
+  public fillRect (options?: Partial<IRectOptions>): Canvas {
+    const { cursorX, cursorY } = this;
+    const [x, y, width, height] = this.getRect(options);
+    const [grapheme = ' '] = segmentGraphemes(options?.char ?? ' ');
+    const row = grapheme.repeat(Math.max(Math.floor(width / getTextWidth(grapheme)), 0));
+
+    for (let i = 0; i < Math.floor(height); i += 1) {
+      this.moveTo(x, y + i).write(row);
+    }
+
+    return this.moveTo(cursorX, cursorY);
+  }
+
+  /**
+   * Draw the border of the rectangle with box-drawing chars and the current cursor style.
+   * If the border crosses or touches other borders, junction chars are used, so adjacent boxes share their borders.
+   *
+   * @param {Object} [options]
+   * @param {Number} [options.x=0] X coordinate of the top left corner
+   * @param {Number} [options.y=0] Y coordinate of the top left corner
+   * @param {Number} [options.width] Width of the rectangle, up to the right edge of the canvas by default
+   * @param {Number} [options.height] Height of the rectangle, up to the bottom edge of the canvas by default
+   * @param {String} [options.style=BOX_STYLES.SINGLE] One of {@link BOX_STYLES}
+   * @returns {Canvas}
+   * @example
+   * canvas.strokeRect({ x: 0, y: 0, width: 20, height: 10 });
+   * canvas.strokeRect({ style: BOX_STYLES.ROUNDED });
+   */
+  public strokeRect (options?: Partial<IRectOptions>): Canvas {
+    const { cursorX, cursorY } = this;
+    const [left, top, width, height] = this.getRect(options);
+    const style = options?.style ?? BOX_STYLES.SINGLE;
+    const right = left + width - 1;
+    const bottom = top + height - 1;
+
+    if (top === bottom) return this.horizontalLine(left, top, width, style);
+
+    for (let cellY = top; cellY <= bottom; cellY += 1) {
+      for (let cellX = left; cellX <= right; cellX += 1) {
+        const isHorizontalEdge = cellY === top || cellY === bottom;
+        const isVerticalEdge = cellX === left || cellX === right;
+        const armUp = isVerticalEdge && cellY > top ? 1 : 0;
+        const armRight = isHorizontalEdge && cellX < right ? 2 : 0;
+        const armDown = isVerticalEdge && cellY < bottom ? 4 : 0;
+        const armLeft = isHorizontalEdge && cellX > left ? 8 : 0;
+
+        if (isHorizontalEdge || isVerticalEdge) {
+          this.drawBoxChar(cellX, cellY, armUp + armRight + armDown + armLeft, style);
+        }
+      }
+    }
+
+    return this.moveTo(cursorX, cursorY);
+  }
+
+  /**
+   * Write the text into the region with the current cursor style.
+   * Each line of the text is truncated to the width of the region and aligned inside of it.
+   * Text that goes out of the canvas is clipped, the position of the cursor is not changed.
+   *
+   * @param {Number} x X coordinate of the region
+   * @param {Number} y Y coordinate of the region
+   * @param {Number} width Width of the region
+   * @param {String} data Text to write, it can contain new lines
+   * @param {Object} [options]
+   * @param {String} [options.align='left'] Align of the lines: left, center or right
+   * @param {Boolean} [options.wrap=false] Word-wrap the lines that don't fit into the width
+   * @param {Boolean} [options.ellipsis=false] Append `…` to the truncated lines
+   * @param {Number} [options.height=Infinity] Maximum number of lines in the region
+   * @returns {Canvas}
+   * @example
+   * canvas.text(0, 0, 20, 'Title', { align: 'center' });
+   * canvas.text(0, 1, 20, 'Some long description', { ellipsis: true, height: 2, wrap: true });
+   */
+  // eslint-disable-next-line max-params
+  public text (x: number, y: number, width: number, data: string, options?: Partial<ITextOptions>): Canvas {
+    const { cursorX, cursorY } = this;
+    const regionWidth = Math.floor(width);
+    const height = Math.floor(options?.height ?? Infinity);
+    const ellipsis = options?.ellipsis === true ? '…' : '';
+
+    if (regionWidth < 1 || height < 1) return this;
+
+    const lines = options?.wrap === true ? wrapText(data, regionWidth) : data.split('\n');
+
+    if (lines.length > height) {
+      lines.splice(height);
+      lines[height - 1] = `${lines[height - 1]}${ellipsis}`;
+    }
+
+    for (let i = 0; i < lines.length; i += 1) {
+      const line = truncateText(lines[i], regionWidth, ellipsis);
+      const space = regionWidth - getTextWidth(line);
+      let offset = 0;
+
+      if (options?.align === 'center') offset = Math.floor(space / 2);
+      if (options?.align === 'right') offset = space;
+
+      this.moveTo(x + offset, y + i).write(line);
+    }
+
+    return this.moveTo(cursorX, cursorY);
+  }
+
+  /**
+   * Draw the image from raw RGB or RGBA pixels, scaling it to the region.
+   * Number of channels is detected from the length of the data, pixels with alpha below 128 are transparent.
+   *
+   * There are three modes of drawing:
+   * - half-block draws two pixels in the cell with `▀`, using foreground and background colors;
+   * - braille draws 2x4 dots in the cell, which are lit for bright pixels, with the current cursor style;
+   * - ascii draws a char from the ramp by the brightness of the pixel, with the current cursor style.
+   *
+   * If only width or height of the region is specified, another one is calculated from the proportions of the image.
+   * If neither is specified, the image fits into the canvas from the origin of the region.
+   * Cells are not square, so the height is corrected by the aspect ratio of the cell.
+   * Colors can be dithered to the color depth of the canvas (or gray levels of the mode) for smooth gradients.
+   * Position and style of the cursor are not changed.
+   *
+   * @param {Object} image Image with raw pixels
+   * @param {Buffer|Uint8Array|Array<Number>} image.data RGB or RGBA pixels, row by row
+   * @param {Number} image.width Number of pixels in the row
+   * @param {Number} image.height Number of rows
+   * @param {Object} [options]
+   * @param {Number} [options.x=0] X coordinate of the region
+   * @param {Number} [options.y=0] Y coordinate of the region
+   * @param {Number} [options.width] Width of the region in cells
+   * @param {Number} [options.height] Height of the region in cells
+   * @param {String} [options.mode='half-block'] Drawing mode: half-block, braille or ascii
+   * @param {String} [options.dither='none'] Dithering: floyd-steinberg, ordered or none
+   * @param {Number} [options.cellAspectRatio=0.5] Width of the cell divided by its height
+   * @param {String} [options.ramp=' .:-=+*#%@'] Chars from the darkest to the brightest for ascii mode, the default
+   * one is used if it's empty
+   * @returns {Canvas}
+   * @example
+   * canvas.drawImage({ data: frame, width: 320, height: 240 }, { width: 80 });
+   * canvas.drawImage({ data: frame, width: 320, height: 240 }, { mode: 'braille', dither: 'floyd-steinberg' });
+   */
+  public drawImage (image: IImageData, options?: Partial<IImageOptions>): Canvas {
+    const { cursorX, cursorY, cursorBackground, cursorForeground } = this;
+    const x = Math.floor(options?.x ?? 0);
+    const y = Math.floor(options?.y ?? 0);
+    const dither = options?.dither ?? 'none';
+    const ratio = image.height / image.width * (options?.cellAspectRatio ?? 0.5);
+
+    let width = Math.min(Math.floor((this.height - y) / ratio), this.width - x);
+    if (typeof options?.height !== 'undefined') width = Math.round(options.height / ratio);
+    if (typeof options?.width !== 'undefined') width = Math.floor(options.width);
+    const height = Math.floor(options?.height ?? Math.round(width * ratio));
+
+    // Comparison is negated, so empty images with NaN ratio are skipped too
+    if (!(width >= 1 && height >= 1)) return this;
+
+    if (options?.mode === 'braille') {
+      const pixels = Canvas.getGrayPixels(scaleImage(image, width * 2, height * 4));
+      this.drawBraille(Canvas.ditherPixels(pixels, width * 2, Canvas.getGrayQuantizer(2), dither), x, y);
+    } else if (options?.mode === 'ascii') {
+      const customRamp = segmentGraphemes(options.ramp ?? '');
+      const ramp = customRamp.length > 0 ? customRamp : segmentGraphemes(Canvas.ASCII_RAMP);
+      const pixels = Canvas.getGrayPixels(scaleImage(image, width, height));
+      this.drawRamp(Canvas.ditherPixels(pixels, width, Canvas.getGrayQuantizer(ramp.length), dither), x, y, ramp);
+    } else {
+      const pixels = scaleImage(image, width, height * 2);
+      this.drawHalfBlocks(Canvas.ditherPixels(pixels, width, Canvas.getColorQuantizer(this.colorDepth), dither), x, y);
+    }
+
+    this.cursorBackground = cursorBackground;
+    this.cursorForeground = cursorForeground;
+
+    return this.moveTo(cursorX, cursorY);
+  }
+
   /**
    * Save current terminal state into the buffer.
    * Applies immediately without calling {@link flush} method.
@@ -536,4 +1234,259 @@ export class Canvas implements ICanvasOptions {
     this.stream.write(encodeToVT100('c'));
     return this;
   }
+
+  /**
+   * Update the cell at specified coordinates with the char and current cursor style.
+   * If the cell is a part of the wide char, the rest of the wide char is erased.
+   *
+   * @private
+   * @param {Number} x X coordinate
+   * @param {Number} y Y coordinate
+   * @param {String} char Char to update in the cell
+   * @param {Boolean} [isContinuation=false] The cell is a continuation of the wide char on its left
+   */
+  private setCell (x: number, y: number, char: string, isContinuation = false): void {
+    const pointer = this.getPointerFromXY(x, y);
+    const cell = this.cells[pointer];
+    const { cursorBackground: background, cursorForeground: foreground } = this;
+
+    this.eraseWideChar(pointer);
+    cell.setChar(char);
+    cell.setX(x);
+    cell.setY(y);
+    cell.setBackground(background.r, background.g, background.b);
+    cell.setForeground(foreground.r, foreground.g, foreground.b);
+    cell.setDisplay(this.cursorDisplay);
+    cell.isContinuation = isContinuation;
+    cell.isTransparent = false;
+    cell.isModified = true;
+  }
+
+  /**
+   * Draw two rows of pixels per cell with the upper half block, foreground is the upper pixel.
+   * If one of the pixels is transparent, the default background is used for it.
+   *
+   * @private
+   * @param {Array<Array<Object>>} rows Rows of pixels
+   * @param {Number} x X coordinate of the region
+   * @param {Number} y Y coordinate of the region
+   */
+  private drawHalfBlocks (rows: IPixel[][], x: number, y: number): void {
+    for (let row = 0; row < rows.length / 2; row += 1) {
+      rows[row * 2].forEach((top, column) => {
+        const bottom = rows[row * 2 + 1][column];
+        const isTopVisible = top.alpha >= 128;
+        const isBottomVisible = bottom.alpha >= 128;
+        const foreground = isTopVisible ? top : bottom;
+
+        if (isTopVisible || isBottomVisible) {
+          this.cursorForeground = { b: foreground.b, g: foreground.g, r: foreground.r };
+          this.cursorBackground = isTopVisible && isBottomVisible
+            ? { b: bottom.b, g: bottom.g, r: bottom.r }
+            : { b: -1, g: -1, r: -1 };
+
+          this.moveTo(x + column, y + row).write(isTopVisible ? '▀' : '▄');
+        }
+      });
+    }
+  }
+
+  /**
+   * Draw 2x4 pixels per cell with the Braille pattern, where the dot is lit if the pixel is white.
+   * Cells where all the pixels are transparent are skipped.
+   *
+   * @private
+   * @param {Array<Array<Object>>} rows Rows of black and white pixels
+   * @param {Number} x X coordinate of the region
+   * @param {Number} y Y coordinate of the region
+   */
+  private drawBraille (rows: IPixel[][], x: number, y: number): void {
+    for (let row = 0; row < rows.length / 4; row += 1) {
+      for (let column = 0; column < rows[0].length / 2; column += 1) {
+        let dots = 0;
+        let isVisible = false;
+
+        for (let dot = 0; dot < Canvas.BRAILLE_DOTS.length; dot += 1) {
+          const pixel = rows[row * 4 + Math.floor(dot / 2)][column * 2 + dot % 2];
+
+          if (pixel.alpha >= 128) {
+            isVisible = true;
+            dots += pixel.r > 127 ? Canvas.BRAILLE_DOTS[dot] : 0;
+          }
+        }
+
+        if (isVisible) this.moveTo(x + column, y + row).write(String.fromCharCode(0x2800 + dots));
+      }
+    }
+  }
+
+  /**
+   * Draw a pixel per cell with the char from the ramp by the gray level of the pixel.
+   * Transparent pixels are skipped.
+   *
+   * @private
+   * @param {Array<Array<Object>>} rows Rows of pixels quantized to the number of gray levels in the ramp
+   * @param {Number} x X coordinate of the region
+   * @param {Number} y Y coordinate of the region
+   * @param {Array<String>} ramp Chars from the darkest to the brightest
+   */
+  private drawRamp (rows: IPixel[][], x: number, y: number, ramp: string[]): void {
+    rows.forEach((pixels, row) => pixels.forEach((pixel, column) => {
+      if (pixel.alpha >= 128) {
+        this.moveTo(x + column, y + row).write(ramp[Math.round(pixel.r / 255 * (ramp.length - 1))]);
+      }
+    }));
+  }
+
+  /**
+   * Order the layers from the top to the bottom, recursively.
+   * Sort is stable, so the layers with the same z-index keep the order of creation.
+   *
+   * @private
+   */
+  private sortLayers (): void {
+    this.sortedLayers = [...this.layers].sort((lower, upper) => lower.zIndex - upper.zIndex).reverse();
+    for (const layer of this.layers) layer.sortLayers();
+  }
+
+  /**
+   * Get the topmost layer that isn't transparent at the specified position, along with its cell.
+   *
+   * @private
+   * @param {Number} x X coordinate in this canvas
+   * @param {Number} y Y coordinate in this canvas
+   * @returns {Array|null} Returns the layer and its cell or null if all the layers are transparent at that position
+   */
+  private getLayerSource (x: number, y: number): [Canvas, Cell] | null {
+    for (const layer of this.sortedLayers) {
+      const layerX = x - layer.x;
+      const layerY = y - layer.y;
+
+      if (layerX >= 0 && layerX < layer.width && layerY >= 0 && layerY < layer.height) {
+        const source = layer.getLayerSource(layerX, layerY);
+        if (source !== null) return source;
+
+        const cell = layer.cells[layer.getPointerFromXY(layerX, layerY)];
+        if (!cell.isTransparent) return [layer, cell];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Switch between the main and the alternate screen (1049).
+   * The last frame doesn't describe the contents of the other screen, so all the cells are compared again on flush.
+   *
+   * @private
+   * @param {String} command `h` to switch to the alternate screen and `l` to switch back to the main one
+   */
+  private switchScreen (command: 'h' | 'l'): void {
+    this.stream.write(encodeToVT100(`[?1049${command}`));
+    this.lastFrame = Array.from<string>({ length: this.width * this.height }).fill('');
+    this.lastCells = [];
+  }
+
+  /**
+   * Get the canvas or the layer that the cell of the frame comes from, along with the cell itself.
+   *
+   * @private
+   * @param {Number} x X coordinate
+   * @param {Number} y Y coordinate
+   * @returns {Array}
+   */
+  private getFrameSource (x: number, y: number): [Canvas, Cell] {
+    return this.getLayerSource(x, y) ?? [this, this.cells[this.getPointerFromXY(x, y)]];
+  }
+
+  /**
+   * Get the cell of the frame, composited from the layers and the canvas itself.
+   * Wide char that is cut in half by the edge of the canvas or by another layer is replaced with a space of the same
+   * style, the same way as {@link write} clips it, so the terminal doesn't wrap it or keep the stale half on screen.
+   * The space is a new cell on every flush, so both halves are compared again when the cut goes away.
+   *
+   * @private
+   * @param {Number} x X coordinate
+   * @param {Number} y Y coordinate
+   * @returns {Cell}
+   */
+  private getFrameCell (x: number, y: number): Cell {
+    const [source, cell] = this.getFrameSource(x, y);
+    const isWide = !cell.isContinuation && getGraphemeWidth(cell.char) > 1;
+    const isCutLeft = cell.isContinuation && (x === 0 || this.getFrameSource(x - 1, y)[0] !== source);
+    const isCutRight = isWide && (x === this.width - 1 || this.getFrameSource(x + 1, y)[0] !== source);
+
+    if (!isCutLeft && !isCutRight) return cell;
+
+    const { background, foreground, display } = cell;
+    return new Cell(' ', { background, display, foreground, x, y });
+  }
+
+  /**
+   * Mark the cells of the canvas and its layers as not modified, after they have been compared with the last frame.
+   *
+   * @private
+   */
+  private clearModified (): void {
+    for (const cell of this.cells) cell.isModified = false;
+    for (const layer of this.layers) layer.clearModified();
+  }
+
+  /**
+   * Draw the box-drawing char, joining its arms with the box-drawing char that is already in the cell.
+   *
+   * @private
+   * @param {Number} x X coordinate
+   * @param {Number} y Y coordinate
+   * @param {Number} mask Bit mask of the arms (1 is up, 2 is right, 4 is down, 8 is left)
+   * @param {String} style Box-drawing style, one of {@link BOX_STYLES}
+   */
+  private drawBoxChar (x: number, y: number, mask: number, style: string): void {
+    const cell = this.cells[this.getPointerFromXY(x, y)] as Cell | undefined;
+    let existing = 0;
+
+    if (x >= 0 && x < this.width && typeof cell !== 'undefined') existing = Canvas.getBoxMask(cell.char, style);
+
+    const arms = [1, 2, 4, 8]
+      .filter((arm) => Canvas.hasFlag(mask, arm) || Canvas.hasFlag(existing, arm))
+      .reduce((sum, arm) => sum + arm, 0);
+
+    this.moveTo(x, y).write(style[arms]);
+  }
+
+  /**
+   * Get the origin and size of the rectangle, which is up to the bottom right corner of the canvas by default.
+   *
+   * @private
+   * @param {Object} [options]
+   * @returns {Array<Number>} Returns x, y, width and height of the rectangle
+   */
+  private getRect (options?: Partial<IRectOptions>): [number, number, number, number] {
+    const x = Math.floor(options?.x ?? 0);
+    const y = Math.floor(options?.y ?? 0);
+    const width = Math.floor(options?.width ?? Math.max(this.width - x, 0));
+    const height = Math.floor(options?.height ?? Math.max(this.height - y, 0));
+
+    return [x, y, width, height];
+  }
+
+  /**
+   * Replace the wide char that occupies the cell with spaces, so its halves don't stay on the screen separately.
+   *
+   * @private
+   * @param {Number} pointer Index of the cell in the buffer
+   */
+  private eraseWideChar (pointer: number): void {
+    const cell = this.cells[pointer] as Cell | undefined;
+    const next = this.cells[pointer + 1] as Cell | undefined;
+
+    if (cell?.isContinuation === true) {
+      this.cells[pointer - 1].setChar(' ').isModified = true;
+    }
+
+    if (next?.isContinuation === true) {
+      next.isContinuation = false;
+      next.setChar(' ').isModified = true;
+    }
+  }
 }
@@ -1,7 +1,14 @@
-import { WriteStream } from 'tty';
+import { Writable } from 'stream';
+
+export interface ICanvasStream extends Writable {
+  columns: number
+  rows: number
+  isTTY: boolean
+}
 
 export interface ICanvasOptions {
-  stream: WriteStream
+  stream: ICanvasStream
   width: number
   height: number
+  colorDepth: number
 }
@@ -0,0 +1,10 @@
+export interface IImageOptions {
+  x: number
+  y: number
+  width: number
+  height: number
+  mode: 'ascii' | 'braille' | 'half-block'
+  dither: 'floyd-steinberg' | 'none' | 'ordered'
+  cellAspectRatio: number
+  ramp: string
+}
@@ -0,0 +1,7 @@
+export interface ILayerOptions {
+  x: number
+  y: number
+  width: number
+  height: number
+  zIndex: number
+}
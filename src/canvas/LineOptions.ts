@@ -0,0 +1,7 @@
+export interface ILineOptions {
+  x1: number
+  y1: number
+  x2: number
+  y2: number
+  char: string
+}
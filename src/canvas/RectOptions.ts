@@ -0,0 +1,8 @@
+export interface IRectOptions {
+  x: number
+  y: number
+  width: number
+  height: number
+  char: string
+  style: string
+}
@@ -0,0 +1,5 @@
+export interface IRenderOptions {
+  altScreen: boolean
+  hideCursor: boolean
+  synchronized: boolean
+}
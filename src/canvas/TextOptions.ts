@@ -0,0 +1,6 @@
+export interface ITextOptions {
+  align: 'center' | 'left' | 'right'
+  wrap: boolean
+  ellipsis: boolean
+  height: number
+}
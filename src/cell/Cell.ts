@@ -1,8 +1,10 @@
+import { Color, IColor } from '../color/Color';
+import { COLOR_DEPTHS } from '../color/ColorDepths';
 import { DISPLAY_MODES } from './DisplayModes';
 import { ICellOptions } from './CellOptions';
-import { IColor } from '../color/Color';
 import { IDisplayOptions } from './DisplayOptions';
 import { encodeToVT100 } from '../encodeToVT100';
+import { segmentGraphemes } from '../grapheme/segmentGraphemes';
 
 /**
  * Wrapper for one cell in the terminal.
@@ -12,6 +14,8 @@ import { encodeToVT100 } from '../encodeToVT100';
  */
 export class Cell implements ICellOptions {
   public isModified = false;
+  public isContinuation = false;
+  public isTransparent = false;
   public char = ' ';
   public x = 0;
   public y = 0;
@@ -95,11 +99,14 @@ export class Cell implements ICellOptions {
 
   /**
    * Updates the cell with the newly specified character.
+   * Only the first grapheme cluster is taken, so combining marks and emoji sequences are not split.
    *
    * @param {String} char Char to update in the cell
    */
   public setChar (char: string): Cell {
-    this.char = char.slice(0, 1);
+    const [grapheme = ''] = segmentGraphemes(char);
+
+    this.char = grapheme;
     return this;
   }
 
@@ -251,6 +258,7 @@ export class Cell implements ICellOptions {
    * @returns {Cell}
    */
   public reset (): Cell {
+    this.isContinuation = false;
     this.setChar(' ');
     this.resetBackground();
     this.resetForeground();
@@ -262,17 +270,21 @@ export class Cell implements ICellOptions {
 
   /**
    * Convert cell to VT100 control sequence.
+   * Colors are quantized to the specified color depth or omitted at all if colors are disabled.
    *
+   * @param {Number} [colorDepth=COLOR_DEPTHS.TRUECOLOR] One of {@link COLOR_DEPTHS}
    * @returns {String}
    */
-  public toString (): string {
-    const { background, foreground, char, y, x } = this;
+  public toString (colorDepth = COLOR_DEPTHS.TRUECOLOR): string {
+    const { char, y, x } = this;
     const { bold, dim, underlined, blink, reverse, hidden } = this.display;
+    const background = this.background.r > -1 ? Color.create(this.background).toSgr(colorDepth, true) : '';
+    const foreground = this.foreground.r > -1 ? Color.create(this.foreground).toSgr(colorDepth) : '';
 
     return (
       encodeToVT100(`[${y + 1};${x + 1}f`) +
-      (background.r > -1 ? encodeToVT100(`[48;2;${background.r};${background.g};${background.b}m`) : '') +
-      (foreground.r > -1 ? encodeToVT100(`[38;2;${foreground.r};${foreground.g};${foreground.b}m`) : '') +
+      (background === '' ? '' : encodeToVT100(`[${background}m`)) +
+      (foreground === '' ? '' : encodeToVT100(`[${foreground}m`)) +
       (bold ? encodeToVT100(`[${DISPLAY_MODES.BOLD}m`) : '') +
       (dim ? encodeToVT100(`[${DISPLAY_MODES.DIM}m`) : '') +
       (underlined ? encodeToVT100(`[${DISPLAY_MODES.UNDERLINED}m`) : '') +
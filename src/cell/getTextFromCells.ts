@@ -0,0 +1,23 @@
+import { Cell } from './Cell';
+
+/**
+ * Get plain text from the buffer of cells, without any control sequences.
+ * Rows are separated with a new line and trailing spaces of each row are trimmed.
+ * Continuation cells of wide chars are empty, so each wide char is taken only once.
+ *
+ * @param {Array<Cell>} cells Buffer of cells, ordered from top to bottom and from left to right
+ * @param {Number} width Number of cells in one row
+ * @returns {String}
+ * @example
+ * getTextFromCells([Cell.create('a'), Cell.create('b'), Cell.create('c'), Cell.create(' ')], 2); // returns 'ab\nc'
+ */
+export function getTextFromCells (cells: Cell[], width: number): string {
+  const rows: string[] = [];
+
+  for (let i = 0; i < cells.length; i += width) {
+    const row = cells.slice(i, i + width).map((cell) => cell.char);
+    rows.push(row.join('').trimEnd());
+  }
+
+  return rows.join('\n');
+}
@@ -0,0 +1,24 @@
+import { IColor } from './Color';
+
+/**
+ * Default xterm palette of 16 ANSI colors.
+ * Index in the array is the number of the color, e.g. 1 is red and 9 is bright red.
+ */
+export const ANSI_COLORS: IColor[] = [
+  { r: 0, g: 0, b: 0 },
+  { r: 205, g: 0, b: 0 },
+  { r: 0, g: 205, b: 0 },
+  { r: 205, g: 205, b: 0 },
+  { r: 0, g: 0, b: 238 },
+  { r: 205, g: 0, b: 205 },
+  { r: 0, g: 205, b: 205 },
+  { r: 229, g: 229, b: 229 },
+  { r: 127, g: 127, b: 127 },
+  { r: 255, g: 0, b: 0 },
+  { r: 0, g: 255, b: 0 },
+  { r: 255, g: 255, b: 0 },
+  { r: 92, g: 92, b: 255 },
+  { r: 255, g: 0, b: 255 },
+  { r: 0, g: 255, b: 255 },
+  { r: 255, g: 255, b: 255 },
+];
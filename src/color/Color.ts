@@ -1,3 +1,5 @@
+import { ANSI_COLORS } from './ANSIColors';
+import { COLOR_DEPTHS } from './ColorDepths';
 import { HEX_REGEX } from './HEXRegex';
 import { NAMED_COLORS } from './NamedColors';
 import { RGB_REGEX } from './RGBRegex';
@@ -14,6 +16,8 @@ export interface IColor {
  * @since 2.0.0
  */
 export class Color implements IColor {
+  private static readonly CUBE_LEVELS = [0, 95, 135, 175, 215, 255];
+
   public r = 0;
   public g = 0;
   public b = 0;
@@ -128,6 +132,33 @@ export class Color implements IColor {
     });
   }
 
+  /**
+   * Get color from xterm 256 colors palette by its index.
+   * First 16 colors are taken from the default xterm palette of {@link ANSI_COLORS}.
+   *
+   * @static
+   * @param {Number} index Index of the color in the palette (0-255)
+   * @returns {Color}
+   * @example
+   * Color.fromAnsi256(196).toHex(); // returns '#ff0000'
+   * Color.fromAnsi256(232).toHex(); // returns '#080808'
+   */
+  public static fromAnsi256 (index: number): Color {
+    if (index < 16) return this.create(ANSI_COLORS[index]);
+
+    if (index < 232) {
+      const cube = index - 16;
+      return this.create({
+        r: Color.CUBE_LEVELS[Math.floor(cube / 36)],
+        g: Color.CUBE_LEVELS[Math.floor(cube / 6) % 6],
+        b: Color.CUBE_LEVELS[cube % 6],
+      });
+    }
+
+    const gray = 8 + (index - 232) * 10;
+    return this.create({ r: gray, g: gray, b: gray });
+  }
+
   /**
    * Wrapper around `new Color()`.
    *
@@ -138,6 +169,34 @@ export class Color implements IColor {
     return new this(color);
   }
 
+  /**
+   * Get squared distance between two colors.
+   *
+   * @private
+   * @static
+   * @param {IColor} left
+   * @param {IColor} right
+   * @returns {Number}
+   */
+  private static getDistance (left: IColor, right: IColor): number {
+    return (left.r - right.r) ** 2 + (left.g - right.g) ** 2 + (left.b - right.b) ** 2;
+  }
+
+  /**
+   * Get index of the nearest level in xterm 6x6x6 color cube.
+   *
+   * @private
+   * @static
+   * @param {Number} value Value of the channel
+   * @returns {Number}
+   */
+  private static getCubeIndex (value: number): number {
+    if (value < 48) return 0;
+    if (value < 115) return 1;
+
+    return Math.floor((value - 35) / 40);
+  }
+
   /**
    * Get rounded value of red channel.
    *
@@ -219,4 +278,68 @@ export class Color implements IColor {
 
     return `#${[red, green, blue].join('')}`;
   }
+
+  /**
+   * Convert color to the nearest color from xterm 256 colors palette.
+   * Only 6x6x6 color cube and grayscale ramp are used, because 16 system colors differ from terminal to terminal.
+   *
+   * @returns {Number} Returns index of the color in the palette (16-255)
+   * @example
+   * Color.create('#FF0000').toAnsi256(); // returns 196
+   */
+  public toAnsi256 (): number {
+    const rgb = this.toRgb();
+    const [r, g, b] = [rgb.r, rgb.g, rgb.b].map((value) => Color.getCubeIndex(value));
+    const cube = { r: Color.CUBE_LEVELS[r], g: Color.CUBE_LEVELS[g], b: Color.CUBE_LEVELS[b] };
+    const grayIndex = Math.max(0, Math.min(Math.round(((rgb.r + rgb.g + rgb.b) / 3 - 8) / 10), 23));
+    const gray = 8 + grayIndex * 10;
+
+    if (Color.getDistance(rgb, { r: gray, g: gray, b: gray }) < Color.getDistance(rgb, cube)) {
+      return 232 + grayIndex;
+    }
+
+    return 16 + r * 36 + g * 6 + b;
+  }
+
+  /**
+   * Convert color to the nearest color from 16 ANSI colors.
+   *
+   * @returns {Number} Returns index of the color in the palette (0-15)
+   * @example
+   * Color.create('#FF0000').toAnsi16(); // returns 9
+   */
+  public toAnsi16 (): number {
+    const rgb = this.toRgb();
+    const distances = ANSI_COLORS.map((color) => Color.getDistance(rgb, color));
+
+    return distances.indexOf(Math.min(...distances));
+  }
+
+  /**
+   * Convert color to SGR attribute, quantizing it to the specified color depth.
+   *
+   * @param {Number} colorDepth One of {@link COLOR_DEPTHS}
+   * @param {Boolean} [isBackground=false] Encode the color as a background color
+   * @returns {String} Returns SGR attribute or empty string if colors are disabled
+   * @example
+   * Color.create('#FF0000').toSgr(COLOR_DEPTHS.TRUECOLOR); // returns '38;2;255;0;0'
+   * Color.create('#FF0000').toSgr(COLOR_DEPTHS.ANSI_256, true); // returns '48;5;196'
+   * Color.create('#FF0000').toSgr(COLOR_DEPTHS.ANSI_16); // returns '91'
+   */
+  public toSgr (colorDepth: number, isBackground = false): string {
+    if (colorDepth >= COLOR_DEPTHS.TRUECOLOR) {
+      return `${isBackground ? 48 : 38};2;${this.getR()};${this.getG()};${this.getB()}`;
+    }
+
+    if (colorDepth >= COLOR_DEPTHS.ANSI_256) {
+      return `${isBackground ? 48 : 38};5;${this.toAnsi256()}`;
+    }
+
+    if (colorDepth >= COLOR_DEPTHS.ANSI_16) {
+      const index = this.toAnsi16();
+      return String((index < 8 ? 30 + index : 82 + index) + (isBackground ? 10 : 0));
+    }
+
+    return '';
+  }
 }
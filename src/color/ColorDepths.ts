@@ -0,0 +1,12 @@
+/* eslint-disable sort-keys */
+
+/**
+ * Color depths in bits, the same as returned from `tty.WriteStream.getColorDepth()`.
+ * NONE means that terminal (or user) doesn't want colors at all, only display modes are used then.
+ */
+export const COLOR_DEPTHS = {
+  NONE: 1,
+  ANSI_16: 4,
+  ANSI_256: 8,
+  TRUECOLOR: 24,
+};
@@ -0,0 +1,52 @@
+import { COLOR_DEPTHS } from './ColorDepths';
+import { WriteStream } from 'tty';
+
+/**
+ * Detect color depth of the stream from the environment.
+ * NO_COLOR disables colors, FORCE_COLOR (0-3) forces the minimal color depth even if stream is not a TTY.
+ * Otherwise, color depth is taken from `getColorDepth()` of the TTY stream, which knows about Windows consoles and CI,
+ * or guessed from COLORTERM and TERM variables if the stream doesn't have it.
+ *
+ * @see https://no-color.org
+ * @param {Stream} stream Writable stream where the colors are going to be written
+ * @param {Object} [env=process.env] Environment variables
+ * @returns {Number} Returns one of {@link COLOR_DEPTHS}
+ * @example
+ * detectColorDepth(process.stdout); // returns 24 in modern terminals
+ * detectColorDepth(process.stdout, { TERM: 'linux' }); // returns 4
+ */
+export function detectColorDepth (
+  stream: Partial<Pick<WriteStream, 'getColorDepth'>> & Pick<WriteStream, 'isTTY'>,
+  env: NodeJS.ProcessEnv = process.env,
+): number {
+  const { NO_COLOR, FORCE_COLOR, COLORTERM = '', TERM = '' } = env;
+  const forcedDepths = [COLOR_DEPTHS.NONE, COLOR_DEPTHS.ANSI_16, COLOR_DEPTHS.ANSI_256, COLOR_DEPTHS.TRUECOLOR];
+
+  if (typeof NO_COLOR !== 'undefined' && NO_COLOR !== '') return COLOR_DEPTHS.NONE;
+  if (FORCE_COLOR === '0' || FORCE_COLOR === 'false') return COLOR_DEPTHS.NONE;
+  if (typeof FORCE_COLOR === 'undefined' && !stream.isTTY) return COLOR_DEPTHS.NONE;
+
+  let minimal = COLOR_DEPTHS.NONE;
+  if (typeof FORCE_COLOR !== 'undefined') {
+    const level = parseInt(FORCE_COLOR, 10);
+    minimal = forcedDepths[Number.isNaN(level) ? 1 : Math.max(1, Math.min(level, 3))];
+  }
+
+  if (typeof stream.getColorDepth === 'function') {
+    return Math.max(minimal, stream.getColorDepth(env));
+  }
+
+  if ((/^(?:truecolor|24bit)$/iu).test(COLORTERM) || (/-direct$/iu).test(TERM)) {
+    return COLOR_DEPTHS.TRUECOLOR;
+  }
+
+  if ((/-256(?:colou?r)?$/iu).test(TERM)) {
+    return Math.max(minimal, COLOR_DEPTHS.ANSI_256);
+  }
+
+  if ((/^(?:screen|xterm|vt100|vt220|rxvt|linux|cygwin)|color|ansi/iu).test(TERM) || COLORTERM !== '') {
+    return Math.max(minimal, COLOR_DEPTHS.ANSI_16);
+  }
+
+  return minimal;
+}
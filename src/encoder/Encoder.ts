@@ -0,0 +1,243 @@
+import { Color, IColor } from '../color/Color';
+import { COLOR_DEPTHS } from '../color/ColorDepths';
+import { Cell } from '../cell/Cell';
+import { DISPLAY_MODES } from '../cell/DisplayModes';
+import { IDisplayOptions } from '../cell/DisplayOptions';
+import { encodeToVT100 } from '../encodeToVT100';
+import { getGraphemeWidth } from '../grapheme/getGraphemeWidth';
+
+/**
+ * Encoder converts cells to control sequences, keeping track of the real terminal state.
+ * Unlike {@link Cell.toString}, it emits only the difference between the terminal state and the cell.
+ * Cursor moves are skipped for adjacent cells and only changed SGR attributes are emitted.
+ *
+ * Cells are expected to be encoded in the order they are stored in the buffer (top to bottom, left to right).
+ *
+ * @since 3.2.0
+ */
+export class Encoder {
+  private static readonly TOGGLE_MODES: Array<[keyof IDisplayOptions, number, number]> = [
+    ['underlined', DISPLAY_MODES.UNDERLINED, DISPLAY_MODES.RESET_UNDERLINED],
+    ['blink', DISPLAY_MODES.BLINK, DISPLAY_MODES.RESET_BLINK],
+    ['reverse', DISPLAY_MODES.REVERSE, DISPLAY_MODES.RESET_REVERSE],
+    ['hidden', DISPLAY_MODES.HIDDEN, DISPLAY_MODES.RESET_HIDDEN],
+  ];
+
+  public colorDepth = COLOR_DEPTHS.TRUECOLOR;
+  public cursorX = -1;
+  public cursorY = -1;
+  public background: IColor = { r: -1, g: -1, b: -1 };
+  public foreground: IColor = { r: -1, g: -1, b: -1 };
+  public display: IDisplayOptions = {
+    blink: false,
+    bold: false,
+    dim: false,
+    hidden: false,
+    reverse: false,
+    underlined: false,
+  };
+
+  /**
+   * Create encoder with unknown cursor position and default graphics state.
+   *
+   * @constructor
+   * @param {Number} [colorDepth=COLOR_DEPTHS.TRUECOLOR] Colors are quantized to this depth, one of {@link COLOR_DEPTHS}
+   */
+  public constructor (colorDepth?: number) {
+    if (typeof colorDepth !== 'undefined') {
+      this.colorDepth = colorDepth;
+    }
+  }
+
+  /**
+   * Wrapper around `new Encoder()`.
+   *
+   * @static
+   * @returns {Encoder}
+   */
+  public static create (colorDepth?: number): Encoder {
+    return new this(colorDepth);
+  }
+
+  /**
+   * Get the count parameter for the cursor movement, omitting the default one.
+   *
+   * @private
+   * @static
+   * @param {Number} count Number of cells to move
+   * @returns {String}
+   */
+  private static encodeCount (count: number): string {
+    return count === 1 ? '' : String(count);
+  }
+
+  /**
+   * Convert the cell to control sequences, relative to the current terminal state.
+   * After writing the char, the terminal cursor is placed right after the cell.
+   * Terminals don't agree on the width of wide chars and grapheme clusters, so the column is forgotten after them
+   * and the next cell is moved to absolutely, otherwise one misjudged width would shift the rest of the row.
+   *
+   * @param {Cell} cell Cell to encode
+   * @param {Number} [x=cell.x] X coordinate on the terminal, if the cell is painted at another position
+   * @param {Number} [y=cell.y] Y coordinate on the terminal, if the cell is painted at another position
+   * @returns {String}
+   * @example
+   * encoder.encode(Cell.create('a', { x: 0, y: 0 })); // returns '\u001b[1;1fa'
+   * encoder.encode(Cell.create('b', { x: 1, y: 0 })); // returns 'b'
+   */
+  public encode (cell: Cell, x = cell.x, y = cell.y): string {
+    const seq = this.moveTo(x, y) + this.style(cell) + cell.char;
+    const width = getGraphemeWidth(cell.char);
+
+    this.cursorX = width > 1 || [...cell.char].length > 1 ? -1 : this.cursorX + width;
+
+    return seq;
+  }
+
+  /**
+   * Get the shortest control sequence that moves the terminal cursor to the specified coordinates.
+   * If the current position of the cursor is unknown, absolute position is used.
+   * If only the column is unknown, e.g. after the wide char, the column is set absolutely within the row.
+   * Changing the row always sets the column absolutely, so the pending wrap at the right edge can't affect it.
+   *
+   * @param {Number} x X coordinate
+   * @param {Number} y Y coordinate
+   * @returns {String}
+   */
+  public moveTo (x: number, y: number): string {
+    const { cursorX, cursorY } = this;
+    const candidates = [encodeToVT100(`[${y + 1};${x + 1}f`)];
+
+    this.cursorX = x;
+    this.cursorY = y;
+
+    if (cursorY === y && cursorX === x) return '';
+
+    if (cursorY === y) {
+      candidates.push(encodeToVT100(`[${x + 1}G`));
+      if (cursorX > -1 && x > cursorX) candidates.push(encodeToVT100(`[${Encoder.encodeCount(x - cursorX)}C`));
+    } else if (cursorY > -1 && x === 0) {
+      const dy = y - cursorY;
+      candidates.push(encodeToVT100(dy > 0 ? `[${Encoder.encodeCount(dy)}E` : `[${Encoder.encodeCount(-dy)}F`));
+    }
+
+    let [shortest] = candidates;
+    for (const candidate of candidates) {
+      if (candidate.length < shortest.length) shortest = candidate;
+    }
+
+    return shortest;
+  }
+
+  /**
+   * Get the shortest SGR control sequence that switches the terminal graphics state to the style of the cell.
+   * It compares the difference between two states with resetting all the attributes and setting them again.
+   *
+   * @param {Object} style Style of the cell
+   * @param {IColor} style.background Background color
+   * @param {IColor} style.foreground Foreground color
+   * @param {IDisplayOptions} style.display Display modes
+   * @returns {String}
+   */
+  public style (style: Pick<Cell, 'background' | 'display' | 'foreground'>): string {
+    const diff = this.getDiffAttributes(style);
+    const full = [String(DISPLAY_MODES.RESET_ALL), ...this.getAttributes(style)];
+    const attributes = full.join(';').length < diff.join(';').length ? full : diff;
+
+    this.background = { ...style.background };
+    this.foreground = { ...style.foreground };
+    this.display = { ...style.display };
+
+    return attributes.length > 0 ? encodeToVT100(`[${attributes.join(';')}m`) : '';
+  }
+
+  /**
+   * Reset graphics state of the terminal to the default one and forget the cursor position.
+   * Stream could be written by someone else between flushes, so the next frame starts from a clean state.
+   *
+   * @returns {String}
+   */
+  public reset (): string {
+    const seq = this.style(Cell.create(' '));
+    this.cursorX = -1;
+    this.cursorY = -1;
+
+    return seq;
+  }
+
+  /**
+   * Get SGR attributes that set the style from the default graphics state.
+   *
+   * @private
+   * @param {Object} style Style of the cell
+   * @returns {Array<String>}
+   */
+  private getAttributes (style: Pick<Cell, 'background' | 'display' | 'foreground'>): string[] {
+    const { display } = style;
+    const background = this.encodeColor(style.background, true);
+    const foreground = this.encodeColor(style.foreground, false);
+    const attributes: string[] = [];
+
+    if (style.background.r > -1 && background !== '') attributes.push(background);
+    if (style.foreground.r > -1 && foreground !== '') attributes.push(foreground);
+    if (display.bold) attributes.push(String(DISPLAY_MODES.BOLD));
+    if (display.dim) attributes.push(String(DISPLAY_MODES.DIM));
+    if (display.underlined) attributes.push(String(DISPLAY_MODES.UNDERLINED));
+    if (display.blink) attributes.push(String(DISPLAY_MODES.BLINK));
+    if (display.reverse) attributes.push(String(DISPLAY_MODES.REVERSE));
+    if (display.hidden) attributes.push(String(DISPLAY_MODES.HIDDEN));
+
+    return attributes;
+  }
+
+  /**
+   * Get SGR attribute for the color, quantized to the color depth of the encoder.
+   * Color with negative channels is treated as the default color of the terminal.
+   *
+   * @private
+   * @param {IColor} color Color to encode
+   * @param {Boolean} isBackground Encode the color as a background color
+   * @returns {String} Returns SGR attribute or empty string if colors are disabled
+   */
+  private encodeColor (color: IColor, isBackground: boolean): string {
+    if (this.colorDepth <= COLOR_DEPTHS.NONE) return '';
+    if (color.r < 0) return isBackground ? '49' : '39';
+
+    return Color.create(color).toSgr(this.colorDepth, isBackground);
+  }
+
+  /**
+   * Get SGR attributes that change only the difference between the current graphics state and the style.
+   *
+   * @private
+   * @param {Object} style Style of the cell
+   * @returns {Array<String>}
+   */
+  private getDiffAttributes (style: Pick<Cell, 'background' | 'display' | 'foreground'>): string[] {
+    const { display } = style;
+    const background = this.encodeColor(style.background, true);
+    const foreground = this.encodeColor(style.foreground, false);
+    const attributes: string[] = [];
+
+    if (background !== this.encodeColor(this.background, true)) attributes.push(background);
+    if (foreground !== this.encodeColor(this.foreground, false)) attributes.push(foreground);
+
+    // There is no separate reset for bold and dim, RESET_DIM resets the intensity of both of them
+    const isBoldReset = this.display.bold && !display.bold;
+    const isDimReset = this.display.dim && !display.dim;
+    if (isBoldReset || isDimReset) {
+      attributes.push(String(DISPLAY_MODES.RESET_DIM));
+      if (display.bold) attributes.push(String(DISPLAY_MODES.BOLD));
+      if (display.dim) attributes.push(String(DISPLAY_MODES.DIM));
+    } else {
+      if (display.bold && !this.display.bold) attributes.push(String(DISPLAY_MODES.BOLD));
+      if (display.dim && !this.display.dim) attributes.push(String(DISPLAY_MODES.DIM));
+    }
+
+    for (const [mode, set, reset] of Encoder.TOGGLE_MODES) {
+      if (display[mode] !== this.display[mode]) attributes.push(String(display[mode] ? set : reset));
+    }
+
+    return attributes;
+  }
+}
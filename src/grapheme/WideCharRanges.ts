@@ -0,0 +1,27 @@
+/**
+ * Ranges of code points with East Asian Width property of Wide (W) or Fullwidth (F).
+ * Emoji presentation characters are not listed here, they are detected by Unicode property.
+ *
+ * @see https://www.unicode.org/reports/tr11/
+ */
+export const WIDE_CHAR_RANGES: Array<[number, number]> = [
+  [0x1100, 0x115F],
+  [0x2E80, 0x303E],
+  [0x3041, 0x33FF],
+  [0x3400, 0x4DBF],
+  [0x4E00, 0x9FFF],
+  [0xA000, 0xA4CF],
+  [0xA960, 0xA97F],
+  [0xAC00, 0xD7A3],
+  [0xF900, 0xFAFF],
+  [0xFE10, 0xFE19],
+  [0xFE30, 0xFE6F],
+  [0xFF00, 0xFF60],
+  [0xFFE0, 0xFFE6],
+  [0x16FE0, 0x16FE4],
+  [0x17000, 0x18CFF],
+  [0x1B000, 0x1B2FF],
+  [0x1F200, 0x1F2FF],
+  [0x20000, 0x2FFFD],
+  [0x30000, 0x3FFFD],
+];
@@ -0,0 +1,21 @@
+import { WIDE_CHAR_RANGES } from './WideCharRanges';
+
+const EMOJI_PRESENTATION_REGEX = /^\p{Emoji_Presentation}|\uFE0F/u;
+
+/**
+ * Get the number of columns the grapheme cluster occupies in the terminal.
+ * East Asian Wide and Fullwidth characters, as well as emoji presentation clusters, occupy two columns.
+ *
+ * @param {String} grapheme Grapheme cluster
+ * @returns {Number} Returns 2 for wide clusters and 1 otherwise
+ * @example
+ * getGraphemeWidth('a'); // returns 1
+ * getGraphemeWidth('字'); // returns 2
+ * getGraphemeWidth('\u{1F44D}\u{1F3FD}'); // returns 2
+ */
+export function getGraphemeWidth (grapheme: string): number {
+  const codePoint = grapheme.codePointAt(0) ?? 0;
+  const isWide = WIDE_CHAR_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end);
+
+  return isWide || EMOJI_PRESENTATION_REGEX.test(grapheme) ? 2 : 1;
+}
@@ -0,0 +1,21 @@
+import { getGraphemeWidth } from './getGraphemeWidth';
+import { segmentGraphemes } from './segmentGraphemes';
+
+/**
+ * Get the number of columns the text occupies in the terminal.
+ *
+ * @param {String} text Text without control sequences and new lines
+ * @returns {Number}
+ * @example
+ * getTextWidth('abc'); // returns 3
+ * getTextWidth('你好'); // returns 4
+ */
+export function getTextWidth (text: string): number {
+  let width = 0;
+
+  for (const char of segmentGraphemes(text)) {
+    width += getGraphemeWidth(char);
+  }
+
+  return width;
+}
@@ -0,0 +1,34 @@
+const EXTEND_REGEX = /[\p{M}\p{Emoji_Modifier}\u200D\u{E0020}-\u{E007F}]/u;
+const REGIONAL_INDICATOR_REGEX = /^\p{Regional_Indicator}$/u;
+const ZERO_WIDTH_JOINER = '\u200D';
+
+/**
+ * Split the string into grapheme clusters (user-perceived characters).
+ * It is a simplified version of extended grapheme cluster boundaries, which covers combining marks,
+ * variation selectors, emoji modifiers, ZWJ sequences, tag sequences and pairs of regional indicators (flags).
+ *
+ * @see https://www.unicode.org/reports/tr29/
+ * @param {String} data String to split
+ * @returns {Array<String>} Returns an array of grapheme clusters
+ * @example
+ * segmentGraphemes('éa'); // returns ['é', 'a']
+ * segmentGraphemes('\u{1F1FA}\u{1F1E6}!'); // returns ['🇺🇦', '!']
+ */
+export function segmentGraphemes (data: string): string[] {
+  const clusters: string[] = [];
+
+  for (const char of data) {
+    const index = clusters.length - 1;
+    const isFirst = index < 0;
+    const isExtending = !isFirst && (EXTEND_REGEX.test(char) || clusters[index].endsWith(ZERO_WIDTH_JOINER));
+    const isFlag = !isFirst && REGIONAL_INDICATOR_REGEX.test(clusters[index]) && REGIONAL_INDICATOR_REGEX.test(char);
+
+    if (isExtending || isFlag) {
+      clusters[index] += char;
+    } else {
+      clusters.push(char);
+    }
+  }
+
+  return clusters;
+}
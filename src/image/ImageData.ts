@@ -0,0 +1,16 @@
+import { IColor } from '../color/Color';
+
+export interface IImageData {
+  data: ArrayLike<number>
+  width: number
+  height: number
+}
+
+export interface IPixel extends IColor {
+  alpha: number
+}
+
+export interface IQuantizer {
+  step: number
+  quantize: (color: IColor) => IColor
+}
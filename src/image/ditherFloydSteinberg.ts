@@ -0,0 +1,44 @@
+import { IPixel, IQuantizer } from './ImageData';
+
+const NEIGHBOURS: Array<[number, number, number]> = [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]];
+
+/**
+ * Quantize the pixels with Floyd–Steinberg error diffusion.
+ * Difference between the pixel and its quantized color is distributed to the neighbours that are not processed yet,
+ * so the average color of the area is preserved.
+ * Transparent pixels are kept as is and don't spread the error.
+ *
+ * @param {Array<Object>} pixels Pixels of the image, row by row
+ * @param {Number} width Number of pixels in the row
+ * @param {Object} quantizer Function that returns the nearest available color
+ * @returns {Array<Object>} Returns quantized pixels
+ */
+export function ditherFloydSteinberg (pixels: IPixel[], width: number, quantizer: IQuantizer): IPixel[] {
+  const result = pixels.map((pixel) => ({ ...pixel }));
+
+  result.forEach((pixel, index) => {
+    if (pixel.alpha < 128) return;
+
+    const x = index % width;
+    const color = quantizer.quantize({
+      b: Math.max(0, Math.min(Math.round(pixel.b), 255)),
+      g: Math.max(0, Math.min(Math.round(pixel.g), 255)),
+      r: Math.max(0, Math.min(Math.round(pixel.r), 255)),
+    });
+    const error = { b: pixel.b - color.b, g: pixel.g - color.g, r: pixel.r - color.r };
+
+    for (const [offsetX, offsetY, weight] of NEIGHBOURS) {
+      const neighbour = result[index + offsetY * width + offsetX] as IPixel | undefined;
+
+      if (x + offsetX >= 0 && x + offsetX < width && typeof neighbour !== 'undefined') {
+        neighbour.r += error.r * weight;
+        neighbour.g += error.g * weight;
+        neighbour.b += error.b * weight;
+      }
+    }
+
+    Object.assign(pixel, color);
+  });
+
+  return result;
+}
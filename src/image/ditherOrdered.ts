@@ -0,0 +1,32 @@
+import { IPixel, IQuantizer } from './ImageData';
+
+const BAYER_MATRIX = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+
+/**
+ * Quantize the pixels with ordered dithering.
+ * Each pixel is shifted by the threshold from 4x4 Bayer matrix, scaled to the distance between quantized colors,
+ * so the areas between two colors are filled with a regular pattern of both.
+ * Transparent pixels are kept as is.
+ *
+ * @param {Array<Object>} pixels Pixels of the image, row by row
+ * @param {Number} width Number of pixels in the row
+ * @param {Object} quantizer Function that returns the nearest available color and the distance between colors
+ * @returns {Array<Object>} Returns quantized pixels
+ */
+export function ditherOrdered (pixels: IPixel[], width: number, quantizer: IQuantizer): IPixel[] {
+  return pixels.map((pixel, index) => {
+    if (pixel.alpha < 128) return pixel;
+
+    const matrixX = index % width % 4;
+    const matrixY = Math.floor(index / width) % 4;
+    const threshold = (BAYER_MATRIX[matrixY * 4 + matrixX] + 0.5) / 16 - 0.5;
+    const shift = threshold * quantizer.step;
+    const color = quantizer.quantize({
+      b: Math.max(0, Math.min(Math.round(pixel.b + shift), 255)),
+      g: Math.max(0, Math.min(Math.round(pixel.g + shift), 255)),
+      r: Math.max(0, Math.min(Math.round(pixel.r + shift), 255)),
+    });
+
+    return { ...color, alpha: pixel.alpha };
+  });
+}
@@ -0,0 +1,49 @@
+import { IImageData, IPixel } from './ImageData';
+
+/**
+ * Scale raw RGB or RGBA pixels to the specified size.
+ * Number of channels is detected from the length of the data, RGB pixels are opaque.
+ * Each pixel of the result is an average of the pixels it covers in the source image,
+ * so downscaling doesn't lose thin details and upscaling repeats the nearest pixel.
+ *
+ * @param {Object} image Image with raw pixels, row by row
+ * @param {Number} width Number of pixels in the row of the result
+ * @param {Number} height Number of rows of the result
+ * @returns {Array<Object>} Returns an array of pixels with r, g, b and alpha channels
+ * @example
+ * const image = { data: Buffer.from([255, 0, 0, 0, 0, 255]), width: 2, height: 1 };
+ * scaleImage(image, 1, 1); // returns [{ r: 128, g: 0, b: 128, alpha: 255 }]
+ */
+export function scaleImage (image: IImageData, width: number, height: number): IPixel[] {
+  const channels = image.data.length >= image.width * image.height * 4 ? 4 : 3;
+  const scaleX = image.width / width;
+  const scaleY = image.height / height;
+  const pixels: IPixel[] = [];
+
+  for (let y = 0; y < height; y += 1) {
+    const top = Math.floor(y * scaleY);
+    const bottom = Math.max(top + 1, Math.floor((y + 1) * scaleY));
+
+    for (let x = 0; x < width; x += 1) {
+      const left = Math.floor(x * scaleX);
+      const right = Math.max(left + 1, Math.floor((x + 1) * scaleX));
+      const sum = [0, 0, 0, 0];
+
+      for (let sourceY = top; sourceY < bottom; sourceY += 1) {
+        for (let sourceX = left; sourceX < right; sourceX += 1) {
+          const offset = (sourceY * image.width + sourceX) * channels;
+
+          sum[0] += image.data[offset];
+          sum[1] += image.data[offset + 1];
+          sum[2] += image.data[offset + 2];
+          sum[3] += channels === 4 ? image.data[offset + 3] : 255;
+        }
+      }
+
+      const [r, g, b, alpha] = sum.map((value) => Math.round(value / ((right - left) * (bottom - top))));
+      pixels.push({ alpha, b, g, r });
+    }
+  }
+
+  return pixels;
+}
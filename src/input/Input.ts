@@ -0,0 +1,155 @@
+import { IInputOptions, IInputStream } from './InputOptions';
+import { IKeyEvent, IMouseEvent, IPasteEvent } from './InputEvents';
+import { EventEmitter } from 'events';
+import { InputParser } from './InputParser';
+import { Writable } from 'stream';
+import { encodeToVT100 } from '../encodeToVT100';
+
+/**
+ * Input reads keys and mouse from the terminal and emits them as typed events.
+ * It puts the input stream into raw mode and enables mouse tracking and bracketed paste in the terminal.
+ * Mouse coordinates are cell coordinates, the same as used by {@link Canvas}.
+ *
+ * @since 3.4.0
+ */
+export class Input extends EventEmitter implements IInputOptions {
+  // Time in milliseconds to wait for the rest of the sequence after escape, before it's reported as keys
+  private static readonly ESCAPE_TIMEOUT = 50;
+
+  public stream: IInputStream = process.stdin;
+  public output: Writable = process.stdout;
+  public mouse = true;
+  public paste = true;
+  public parser: InputParser = InputParser.create();
+  public isEnabled = false;
+
+  private wasRaw = false;
+  private escapeTimeout: NodeJS.Timeout | null = null;
+  private readonly onData: (data: Buffer | string) => void;
+  private readonly onExit: () => void;
+
+  /**
+   * Creates input that reads from `stdin` and writes terminal modes to `stdout` by default.
+   * Nothing is read until you call {@link enable}.
+   *
+   * @constructor
+   * @param {Object} [options]
+   * @param {Stream} [options.stream=process.stdin] Readable stream with the input from the terminal
+   * @param {Stream} [options.output=process.stdout] Writable stream to the terminal, where modes are switched
+   * @param {Boolean} [options.mouse=true] Enable mouse tracking
+   * @param {Boolean} [options.paste=true] Enable bracketed paste, so the pasted text is reported as one event
+   * @example
+   * Input.create().on('key', (event) => event.ctrl && event.name === 'c' && process.exit()).enable();
+   * Input.create({ output: canvas.stream, mouse: false });
+   */
+  public constructor (options?: Partial<IInputOptions>) {
+    super();
+
+    if (typeof options?.stream !== 'undefined') {
+      this.stream = options.stream;
+    }
+
+    if (typeof options?.output !== 'undefined') {
+      this.output = options.output;
+    }
+
+    this.mouse = options?.mouse ?? this.mouse;
+    this.paste = options?.paste ?? this.paste;
+
+    this.onData = (data) => {
+      this.clearEscapeTimeout();
+      this.emitEvents(this.parser.parse(data));
+      this.escapeTimeout = setTimeout(() => this.emitEvents(this.parser.flush()), Input.ESCAPE_TIMEOUT).unref();
+    };
+
+    this.onExit = () => this.disable();
+  }
+
+  /**
+   * Wrapper around `new Input()`.
+   *
+   * @static
+   * @returns {Input}
+   */
+  public static create (options?: Partial<IInputOptions>): Input {
+    return new this(options);
+  }
+
+  /**
+   * Start reading the input.
+   * Input stream is switched into raw mode, mouse tracking (SGR 1006) and bracketed paste are enabled.
+   * Emits `key`, `mouse` and `paste` events with {@link IKeyEvent}, {@link IMouseEvent} and {@link IPasteEvent}.
+   * Terminal is restored by {@link disable}, which is called on process exit as well.
+   * Raw mode doesn't send signals on Ctrl+C, so handle it as a key if you want to exit.
+   *
+   * @returns {Input}
+   * @example
+   * input.enable().on('mouse', (event) => canvas.moveTo(event.x, event.y).write('x').flush());
+   */
+  public enable (): Input {
+    if (this.isEnabled) return this;
+
+    this.isEnabled = true;
+    this.wasRaw = this.stream.isRaw === true;
+    this.stream.setRawMode?.(true);
+    this.stream.on('data', this.onData).resume();
+    this.output.write(this.getModes('h'));
+    process.on('exit', this.onExit);
+
+    return this;
+  }
+
+  /**
+   * Stop reading the input and restore the terminal.
+   * Mouse tracking and bracketed paste are disabled, raw mode of the input stream is set to the previous state.
+   *
+   * @returns {Input}
+   * @example
+   * input.disable();
+   */
+  public disable (): Input {
+    if (!this.isEnabled) return this;
+
+    this.isEnabled = false;
+    this.clearEscapeTimeout();
+    this.output.write(this.getModes('l'));
+    this.stream.setRawMode?.(this.wasRaw);
+    this.stream.removeListener('data', this.onData).pause();
+    process.removeListener('exit', this.onExit);
+
+    return this;
+  }
+
+  /**
+   * Emit the events, each one with the name of its type.
+   *
+   * @private
+   * @param {Array<Object>} events Events from the parser
+   */
+  private emitEvents (events: Array<IKeyEvent | IMouseEvent | IPasteEvent>): void {
+    for (const event of events) this.emit(event.type, event);
+  }
+
+  /**
+   * Cancel the pending escape key, because more data came or input is disabled.
+   *
+   * @private
+   */
+  private clearEscapeTimeout (): void {
+    if (this.escapeTimeout !== null) clearTimeout(this.escapeTimeout);
+    this.escapeTimeout = null;
+  }
+
+  /**
+   * Get control sequences that set or reset the modes of the terminal.
+   * Mouse tracking reports presses, releases (1000) and motion with a pressed button (1002) in SGR format (1006).
+   *
+   * @private
+   * @param {String} command `h` to set the modes and `l` to reset them
+   * @returns {String}
+   */
+  private getModes (command: 'h' | 'l'): string {
+    const modes = [...this.mouse ? [1000, 1002, 1006] : [], ...this.paste ? [2004] : []];
+    return modes.map((mode) => encodeToVT100(`[?${mode}${command}`)).join('');
+  }
+}
@@ -0,0 +1,24 @@
+export interface IKeyEvent {
+  type: 'key'
+  name: string
+  sequence: string
+  ctrl: boolean
+  alt: boolean
+  shift: boolean
+}
+
+export interface IMouseEvent {
+  type: 'mouse'
+  action: 'drag' | 'move' | 'press' | 'release' | 'wheel'
+  button: 'left' | 'middle' | 'none' | 'right' | 'wheel-down' | 'wheel-left' | 'wheel-right' | 'wheel-up'
+  x: number
+  y: number
+  ctrl: boolean
+  alt: boolean
+  shift: boolean
+}
+
+export interface IPasteEvent {
+  type: 'paste'
+  text: string
+}
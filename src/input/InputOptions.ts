@@ -0,0 +1,14 @@
+import { Readable, Writable } from 'stream';
+
+export interface IInputStream extends Readable {
+  isTTY?: boolean
+  isRaw?: boolean
+  setRawMode?: (mode: boolean) => unknown
+}
+
+export interface IInputOptions {
+  stream: IInputStream
+  output: Writable
+  mouse: boolean
+  paste: boolean
+}
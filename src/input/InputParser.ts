@@ -0,0 +1,251 @@
+import { IKeyEvent, IMouseEvent, IPasteEvent } from './InputEvents';
+import { StringDecoder } from 'string_decoder';
+
+/**
+ * Parser of the bytes, which are sent by the terminal when keys are pressed or mouse is used.
+ * It recognizes control chars, CSI and SS3 key sequences with modifiers, SGR (1006) mouse reports and bracketed paste.
+ * Sequences that are split between chunks are kept until the next chunk, so you can feed it with any byte buffers.
+ *
+ * @since 3.4.0
+ */
+export class InputParser {
+  // eslint-disable-next-line no-control-regex, max-len
+  private static readonly TOKEN_REGEX = /\u001b\[200~(?<paste>[\s\S]*?)\u001b\[201~|\u001b\[<(?<mouse>\d+;\d+;\d+)(?<state>[Mm])|\u001b\[(?<params>[\d;]*)(?<final>[A-Za-z~])|\u001bO(?<ss3>[A-Za-z])|(?<alt>\u001b)?(?<char>[\s\S])/uy;
+  // eslint-disable-next-line no-control-regex
+  private static readonly INCOMPLETE_REGEX = /\u001b(?:\[[<\d;]*|\[200~(?:(?!\u001b\[201~)[\s\S])*|O)?$/uy;
+  private static readonly CHAR_KEYS = new Map([
+    ['\u0000', 'space'],
+    ['\b', 'backspace'],
+    ['\t', 'tab'],
+    ['\n', 'enter'],
+    ['\r', 'enter'],
+    ['\u001b', 'escape'],
+    [' ', 'space'],
+    ['\u007f', 'backspace'],
+  ]);
+
+  private static readonly SEQUENCE_KEYS = new Map([
+    ['A', 'up'],
+    ['B', 'down'],
+    ['C', 'right'],
+    ['D', 'left'],
+    ['E', 'clear'],
+    ['F', 'end'],
+    ['H', 'home'],
+    ['P', 'f1'],
+    ['Q', 'f2'],
+    ['R', 'f3'],
+    ['S', 'f4'],
+    ['Z', 'tab'],
+  ]);
+
+  private static readonly TILDE_KEYS = new Map([
+    [1, 'home'],
+    [2, 'insert'],
+    [3, 'delete'],
+    [4, 'end'],
+    [5, 'pageup'],
+    [6, 'pagedown'],
+    [7, 'home'],
+    [8, 'end'],
+    [11, 'f1'],
+    [12, 'f2'],
+    [13, 'f3'],
+    [14, 'f4'],
+    [15, 'f5'],
+    [17, 'f6'],
+    [18, 'f7'],
+    [19, 'f8'],
+    [20, 'f9'],
+    [21, 'f10'],
+    [23, 'f11'],
+    [24, 'f12'],
+  ]);
+
+  private static readonly MOUSE_BUTTONS: Array<IMouseEvent['button']> = ['left', 'middle', 'right', 'none'];
+  private static readonly WHEEL_BUTTONS: Array<IMouseEvent['button']> = [
+    'wheel-up',
+    'wheel-down',
+    'wheel-left',
+    'wheel-right',
+  ];
+
+  private pending = '';
+  private readonly decoder = new StringDecoder('utf8');
+
+  /**
+   * Wrapper around `new InputParser()`.
+   *
+   * @static
+   * @returns {InputParser}
+   */
+  public static create (): InputParser {
+    return new this();
+  }
+
+  /**
+   * Check if the bit flag is set in the code.
+   *
+   * @private
+   * @static
+   * @param {Number} code Code with bit flags
+   * @param {Number} flag Value of the flag, power of two
+   * @returns {Boolean}
+   */
+  private static hasFlag (code: number, flag: number): boolean {
+    return Math.floor(code / flag) % 2 === 1;
+  }
+
+  /**
+   * Get the key event of the char.
+   * Control chars are reported as letters with ctrl modifier, upper case letters are reported with shift modifier.
+   *
+   * @private
+   * @static
+   * @param {String} char Char that is sent by the terminal
+   * @param {Boolean} alt The char is prefixed with escape, which is sent by alt (meta) modifier
+   * @returns {Object}
+   */
+  private static getCharKey (char: string, alt: boolean): IKeyEvent {
+    const sequence = alt ? `\u001b${char}` : char;
+    const code = char.charCodeAt(0);
+    const name = InputParser.CHAR_KEYS.get(char);
+
+    if (typeof name !== 'undefined') {
+      return { alt, ctrl: code === 0, name, sequence, shift: false, type: 'key' };
+    }
+
+    if (code < 0x20) {
+      return { alt, ctrl: true, name: String.fromCharCode(code + 0x60), sequence, shift: false, type: 'key' };
+    }
+
+    const lower = char.toLowerCase();
+    return { alt, ctrl: false, name: lower, sequence, shift: lower !== char, type: 'key' };
+  }
+
+  /**
+   * Get the key event of CSI or SS3 sequence.
+   * Modifiers are encoded in the last parameter as 1 + bit flags: 1 is shift, 2 is alt and 4 is ctrl.
+   *
+   * @private
+   * @static
+   * @param {String} sequence Whole sequence
+   * @param {Array<Number>} params Parameters of the sequence
+   * @param {String} final Final char of the sequence
+   * @returns {Object|null} Returns null if the key is unknown
+   */
+  private static getSequenceKey (sequence: string, params: number[], final: string): IKeyEvent | null {
+    const name = final === '~' ? InputParser.TILDE_KEYS.get(params[0]) : InputParser.SEQUENCE_KEYS.get(final);
+    const modifiers = Math.max((params[1] ?? 1) - 1, 0);
+
+    if (typeof name === 'undefined') return null;
+
+    return {
+      alt: InputParser.hasFlag(modifiers, 2),
+      ctrl: InputParser.hasFlag(modifiers, 4),
+      name,
+      sequence,
+      shift: InputParser.hasFlag(modifiers, 1) || final === 'Z',
+      type: 'key',
+    };
+  }
+
+  /**
+   * Get the mouse event of SGR (1006) mouse report.
+   * Coordinates of the report start from 1, they are converted to the cell coordinates that start from 0.
+   *
+   * @private
+   * @static
+   * @param {String} report Parameters of the report: button code, column and row
+   * @param {String} state `M` if the button is pressed and `m` if it's released
+   * @returns {Object}
+   */
+  private static getMouseEvent (report: string, state: string): IMouseEvent {
+    const [code, column, row] = report.split(';').map(Number);
+    const isWheel = InputParser.hasFlag(code, 64);
+    const isMotion = InputParser.hasFlag(code, 32);
+    const button = (isWheel ? InputParser.WHEEL_BUTTONS : InputParser.MOUSE_BUTTONS)[code % 4];
+    let action: IMouseEvent['action'] = state === 'm' ? 'release' : 'press';
+
+    if (isMotion) action = button === 'none' ? 'move' : 'drag';
+    if (isWheel) action = 'wheel';
+
+    return {
+      action,
+      alt: InputParser.hasFlag(code, 8),
+      button,
+      ctrl: InputParser.hasFlag(code, 16),
+      shift: InputParser.hasFlag(code, 4),
+      type: 'mouse',
+      x: column - 1,
+      y: row - 1,
+    };
+  }
+
+  /**
+   * Parse the data from the input stream into events.
+   * Incomplete sequence at the end of the data is kept and parsed with the next data.
+   * Escape at the end of the data is kept as well, since it can be the start of the sequence or the escape key.
+   * Call {@link flush} if no data follows it for some time to get the escape key.
+   *
+   * @param {Buffer|String} data Bytes or string from the input stream
+   * @returns {Array<Object>} Returns key, mouse and paste events in order of appearance
+   * @example
+   * parser.parse(Buffer.from('\u001b[1;5A')); // returns [{ type: 'key', name: 'up', ctrl: true, ... }]
+   * parser.parse('\u001b[<0;10;5M'); // returns [{ type: 'mouse', action: 'press', button: 'left', x: 9, y: 4, ... }]
+   */
+  public parse (data: Buffer | string): Array<IKeyEvent | IMouseEvent | IPasteEvent> {
+    const text = this.pending + (typeof data === 'string' ? data : this.decoder.write(data));
+    const regex = InputParser.TOKEN_REGEX;
+    const events: Array<IKeyEvent | IMouseEvent | IPasteEvent> = [];
+    let index = 0;
+
+    while (index < text.length) {
+      InputParser.INCOMPLETE_REGEX.lastIndex = index;
+      if (InputParser.INCOMPLETE_REGEX.test(text)) break;
+
+      regex.lastIndex = index;
+      // The last alternative matches any char, so the token is always found
+      const match = regex.exec(text) as RegExpExecArray;
+      const { paste, mouse, state, params, final, ss3, alt, char } = match.groups as Record<string, string | undefined>;
+
+      if (typeof paste !== 'undefined') events.push({ text: paste, type: 'paste' });
+      if (typeof mouse !== 'undefined') events.push(InputParser.getMouseEvent(mouse, String(state)));
+      if (typeof char !== 'undefined') events.push(InputParser.getCharKey(char, typeof alt !== 'undefined'));
+
+      if (typeof final !== 'undefined' || typeof ss3 !== 'undefined') {
+        const sequenceParams = String(params ?? '').split(';')
+          .map(Number);
+        const key = InputParser.getSequenceKey(match[0], sequenceParams, String(final ?? ss3));
+        if (key !== null) events.push(key);
+      }
+
+      index = regex.lastIndex;
+    }
+
+    this.pending = text.slice(index);
+
+    return events;
+  }
+
+  /**
+   * Get the keys of the incomplete sequence, which is kept at the end of the data without the rest of it.
+   * Lone escape is the escape key, otherwise the char after escape is reported with alt modifier and the rest of the
+   * chars as they are, e.g. `\u001b[` is Alt+[. Incomplete bracketed paste is kept until the next data.
+   *
+   * @returns {Array<Object>} Returns the key events or an empty array
+   * @example
+   * parser.parse('\u001b'); // returns []
+   * parser.flush(); // returns [{ type: 'key', name: 'escape', ... }]
+   */
+  public flush (): IKeyEvent[] {
+    const [escape, first, ...rest] = this.pending;
+
+    if (typeof escape === 'undefined' || this.pending.startsWith('\u001b[200~')) return [];
+
+    this.pending = '';
+    if (typeof first === 'undefined') return [InputParser.getCharKey(escape, false)];
+
+    return [InputParser.getCharKey(first, true), ...rest.map((char) => InputParser.getCharKey(char, false))];
+  }
+}
@@ -0,0 +1,557 @@
+import { Color, IColor } from '../color/Color';
+import { ANSI_COLORS } from '../color/ANSIColors';
+import { Cell } from '../cell/Cell';
+import { DISPLAY_MODES } from '../cell/DisplayModes';
+import { IDisplayOptions } from '../cell/DisplayOptions';
+import { IVirtualTerminalOptions } from './VirtualTerminalOptions';
+import { Writable } from 'stream';
+import { getGraphemeWidth } from '../grapheme/getGraphemeWidth';
+import { getTextFromCells } from '../cell/getTextFromCells';
+import { segmentGraphemes } from '../grapheme/segmentGraphemes';
+
+/**
+ * VirtualTerminal is an in-memory terminal emulator, which can be used as a stream for {@link Canvas}.
+ * It parses control sequences written to it into the screen of {@link Cell} instances,
+ * so you can assert on the text and the style of the cells instead of the raw control sequences.
+ *
+ * Supported control sequences are the ones this library emits:
+ * cursor movements, SGR colors and display modes, alternate screen (`?47h/l` and `?1049h/l`),
+ * cursor visibility (`?25h/l`) and full reset (`c`). Unknown control sequences are ignored.
+ * Synchronized update (`?2026h/l`), mouse tracking and bracketed paste modes are ignored on purpose,
+ * since they don't change the contents of the screen.
+ *
+ * @since 3.3.0
+ */
+export class VirtualTerminal extends Writable implements IVirtualTerminalOptions {
+  // eslint-disable-next-line no-control-regex, max-len
+  private static readonly TOKEN_REGEX = /\u001b\[(?<params>[\d;?]*)(?<command>[@-~])|\u001b(?<escape>[^[])|(?<text>[^\u001b]+)/uy;
+  // eslint-disable-next-line no-control-regex
+  private static readonly INCOMPLETE_REGEX = /^\u001b(?:\[[\d;?]*)?$/u;
+  private static readonly DISPLAY_ATTRIBUTES: Array<[keyof IDisplayOptions, number, number]> = [
+    ['bold', DISPLAY_MODES.BOLD, DISPLAY_MODES.RESET_DIM],
+    ['dim', DISPLAY_MODES.DIM, DISPLAY_MODES.RESET_DIM],
+    ['underlined', DISPLAY_MODES.UNDERLINED, DISPLAY_MODES.RESET_UNDERLINED],
+    ['blink', DISPLAY_MODES.BLINK, DISPLAY_MODES.RESET_BLINK],
+    ['reverse', DISPLAY_MODES.REVERSE, DISPLAY_MODES.RESET_REVERSE],
+    ['hidden', DISPLAY_MODES.HIDDEN, DISPLAY_MODES.RESET_HIDDEN],
+  ];
+
+  public isTTY = true;
+  public columns = 80;
+  public rows = 24;
+  public cells: Cell[];
+  public cursorX = 0;
+  public cursorY = 0;
+  public isCursorVisible = true;
+  public isAlternateScreen = false;
+  public background: IColor = { r: -1, g: -1, b: -1 };
+  public foreground: IColor = { r: -1, g: -1, b: -1 };
+  public display: IDisplayOptions = {
+    blink: false,
+    bold: false,
+    dim: false,
+    hidden: false,
+    reverse: false,
+    underlined: false,
+  };
+
+  private mainScreen: Cell[] = [];
+  // Position of the cursor and the graphics state are saved in the cell
+  private savedCursor: Cell | null = null;
+  private pending = '';
+
+  /**
+   * Create virtual terminal with an empty screen and the cursor at the top left corner.
+   *
+   * @constructor
+   * @param {Object} [options]
+   * @param {Number} [options.columns=80] Number of columns (width)
+   * @param {Number} [options.rows=24] Number of rows (height)
+   * @example
+   * const terminal = VirtualTerminal.create({ columns: 20, rows: 5 });
+   * const canvas = Canvas.create({ stream: terminal, colorDepth: COLOR_DEPTHS.TRUECOLOR });
+   */
+  public constructor (options?: Partial<IVirtualTerminalOptions>) {
+    super({ decodeStrings: false });
+
+    if (typeof options?.columns !== 'undefined') {
+      this.columns = Math.floor(options.columns);
+    }
+
+    if (typeof options?.rows !== 'undefined') {
+      this.rows = Math.floor(options.rows);
+    }
+
+    this.cells = this.createScreen();
+  }
+
+  /**
+   * Wrapper around `new VirtualTerminal()`.
+   *
+   * @static
+   * @returns {VirtualTerminal}
+   */
+  public static create (options?: Partial<IVirtualTerminalOptions>): VirtualTerminal {
+    return new this(options);
+  }
+
+  /**
+   * Get the count parameter of the control sequence, falling back to the default one if it is omitted.
+   *
+   * @private
+   * @static
+   * @param {Number} param Parsed parameter of the control sequence
+   * @returns {Number}
+   */
+  private static getCount (param: number | undefined): number {
+    return typeof param === 'undefined' || Number.isNaN(param) ? 1 : Math.max(param, 1);
+  }
+
+  /**
+   * Get description of the cell style, used in snapshots.
+   * Only the attributes that differ from the default graphics state are described.
+   *
+   * @private
+   * @static
+   * @param {Cell} cell Cell to describe
+   * @returns {String}
+   */
+  private static getStyleDescription (cell: Cell): string {
+    const attributes: string[] = [];
+
+    if (cell.foreground.r > -1) attributes.push(`fg ${Color.create(cell.foreground).toHex()}`);
+    if (cell.background.r > -1) attributes.push(`bg ${Color.create(cell.background).toHex()}`);
+    for (const [mode] of VirtualTerminal.DISPLAY_ATTRIBUTES) {
+      if (cell.display[mode]) attributes.push(mode);
+    }
+
+    return attributes.join(', ');
+  }
+
+  /**
+   * Implementation of the Writable stream, which parses the written data.
+   * Control sequence that is split between two chunks is kept until the next chunk arrives.
+   *
+   * @private
+   * @param {Buffer|String} chunk Data written to the stream
+   * @param {String} _encoding Encoding of the chunk
+   * @param {Function} callback Called when the chunk is parsed
+   */
+  public _write (chunk: Buffer | string, _encoding: string, callback: (error?: Error | null) => void): void {
+    const data = this.pending + String(chunk);
+    const regex = VirtualTerminal.TOKEN_REGEX;
+    let index = 0;
+
+    while (index < data.length) {
+      regex.lastIndex = index;
+      const match = regex.exec(data);
+
+      if (match === null) {
+        if (VirtualTerminal.INCOMPLETE_REGEX.test(data.slice(index))) break;
+        index += 1;
+      } else {
+        const { params, command, escape, text } = match.groups as Record<string, string | undefined>;
+
+        if (typeof text !== 'undefined') this.print(text);
+        if (typeof escape !== 'undefined') this.executeEscape(escape);
+        if (typeof command !== 'undefined') this.executeSequence(String(params), command);
+
+        index = regex.lastIndex;
+      }
+    }
+
+    this.pending = data.slice(index);
+    callback();
+  }
+
+  /**
+   * Get the cell at specified coordinates, so you can check its char and style.
+   *
+   * @param {Number} x X coordinate
+   * @param {Number} y Y coordinate
+   * @returns {Cell|null} Returns null if coordinates are out of the screen
+   * @example
+   * terminal.getCell(0, 0).foreground; // returns { r: 255, g: 0, b: 0 }
+   * terminal.getCell(0, 0).display.bold; // returns true
+   */
+  public getCell (x: number, y: number): Cell | null {
+    if (x < 0 || x >= this.columns || y < 0 || y >= this.rows) return null;
+
+    return this.cells[y * this.columns + x];
+  }
+
+  /**
+   * Get plain text of the screen without any styles.
+   * Rows are separated with a new line and trailing spaces of each row are trimmed.
+   *
+   * @returns {String}
+   * @example
+   * terminal.toText(); // returns 'Hello, world'
+   */
+  public toText (): string {
+    return getTextFromCells(this.cells, this.columns);
+  }
+
+  /**
+   * Serialize the state of the screen into a stable, human-readable format.
+   * It includes the cursor, the active screen, all rows of the screen (wrapped with `|`)
+   * and the styled regions of each row, so it is suitable for snapshot testing.
+   *
+   * @returns {String}
+   * @example
+   * expect(terminal.toSnapshot()).toMatchSnapshot();
+   */
+  public toSnapshot (): string {
+    const { columns } = this;
+    const numberWidth = String(this.rows - 1).length;
+    const screen = this.isAlternateScreen ? 'alternate' : 'main';
+    const cursor = this.isCursorVisible ? 'visible' : 'hidden';
+    const lines = [`screen: ${screen}, cursor: ${this.cursorX},${this.cursorY} ${cursor}`];
+    const styles: string[] = [];
+
+    for (let y = 0; y < this.rows; y += 1) {
+      const row = this.cells.slice(y * columns, (y + 1) * columns);
+      const number = String(y).padStart(numberWidth);
+      lines.push(`${number} |${row.map((cell) => cell.char).join('')}|`);
+
+      let start = 0;
+      for (let x = 1; x <= columns; x += 1) {
+        const style = VirtualTerminal.getStyleDescription(row[start]);
+        if (x === columns || VirtualTerminal.getStyleDescription(row[x]) !== style) {
+          if (style !== '') styles.push(`${number} ${start}-${x - 1}: ${style}`);
+          start = x;
+        }
+      }
+    }
+
+    if (styles.length > 0) lines.push('styles:', ...styles);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Resize the terminal, keeping the content of the region that overlaps with the previous size.
+   * Emits `resize` event, the same way TTY streams do, so {@link Canvas} follows the new size.
+   *
+   * @param {Number} columns Number of columns (width)
+   * @param {Number} rows Number of rows (height)
+   * @returns {VirtualTerminal}
+   * @example
+   * terminal.resize(120, 40);
+   */
+  public resize (columns: number, rows: number): VirtualTerminal {
+    const newColumns = Math.floor(columns);
+    const newRows = Math.floor(rows);
+    const resizeScreen = (screen: Cell[]): Cell[] => Array
+      .from<Cell>({ length: newColumns * newRows })
+      .map((_, index) => {
+        const x = index % newColumns;
+        const y = Math.floor(index / newColumns);
+
+        return x < this.columns && y < this.rows ? screen[y * this.columns + x] : Cell.create(' ', { x, y });
+      });
+
+    this.cells = resizeScreen(this.cells);
+    if (this.isAlternateScreen) this.mainScreen = resizeScreen(this.mainScreen);
+
+    this.columns = newColumns;
+    this.rows = newRows;
+    this.moveCursor(this.cursorX, this.cursorY);
+    this.emit('resize');
+
+    return this;
+  }
+
+  /**
+   * Reset the terminal to its initial state.
+   * The screen is cleared, the cursor is moved to the top left corner and made visible,
+   * graphics state is reset to default and the main screen is activated.
+   *
+   * @returns {VirtualTerminal}
+   * @example
+   * terminal.reset();
+   */
+  public reset (): VirtualTerminal {
+    this.cells = this.createScreen();
+    this.mainScreen = [];
+    this.savedCursor = null;
+    this.cursorX = 0;
+    this.cursorY = 0;
+    this.isCursorVisible = true;
+    this.isAlternateScreen = false;
+    this.setAttribute(DISPLAY_MODES.RESET_ALL);
+
+    return this;
+  }
+
+  /**
+   * Create an empty screen for the current size of the terminal.
+   *
+   * @private
+   * @returns {Array<Cell>}
+   */
+  private createScreen (): Cell[] {
+    return Array
+      .from<Cell>({ length: this.columns * this.rows })
+      .map((_, index) => Cell.create(' ', { x: index % this.columns, y: Math.floor(index / this.columns) }));
+  }
+
+  /**
+   * Move the cursor, clamping it to the screen.
+   *
+   * @private
+   * @param {Number} x X coordinate
+   * @param {Number} y Y coordinate
+   */
+  private moveCursor (x: number, y: number): void {
+    this.cursorX = Math.max(0, Math.min(x, this.columns - 1));
+    this.cursorY = Math.max(0, Math.min(y, this.rows - 1));
+  }
+
+  /**
+   * Move the cursor to the next line, scrolling the screen up if the cursor is at the bottom.
+   *
+   * @private
+   */
+  private lineFeed (): void {
+    if (this.cursorY < this.rows - 1) {
+      this.cursorY += 1;
+      return;
+    }
+
+    this.cells = this.cells.slice(this.columns);
+    for (let x = 0; x < this.columns; x += 1) this.cells.push(Cell.create(' ', { x, y: this.rows }));
+    for (const cell of this.cells) cell.setY(cell.y - 1);
+  }
+
+  /**
+   * Print the text at the cursor position with the current graphics state.
+   * When the cursor reaches the right edge, the text is wrapped to the next line.
+   * Wide chars occupy two cells, where the second one is a continuation of the first one.
+   *
+   * @private
+   * @param {String} text Text without control sequences
+   */
+  private print (text: string): void {
+    for (const char of segmentGraphemes(text)) {
+      if (char === '\r') this.cursorX = 0;
+      if (char === '\n') this.lineFeed();
+      if (char === '\b') this.moveCursor(this.cursorX - 1, this.cursorY);
+
+      if (char >= ' ') {
+        const charWidth = getGraphemeWidth(char);
+
+        if (this.cursorX + charWidth > this.columns) {
+          this.cursorX = 0;
+          this.lineFeed();
+        }
+
+        this.setCell(this.cursorX, char, false);
+        if (charWidth > 1) this.setCell(this.cursorX + 1, '', true);
+        this.cursorX += charWidth;
+      }
+    }
+  }
+
+  /**
+   * Update the cell in the current row with the char and the current graphics state.
+   * If the cell is a part of the wide char, the rest of the wide char is erased.
+   *
+   * @private
+   * @param {Number} x X coordinate
+   * @param {String} char Char to update in the cell
+   * @param {Boolean} isContinuation The cell is a continuation of the wide char on its left
+   */
+  private setCell (x: number, char: string, isContinuation: boolean): void {
+    const pointer = this.cursorY * this.columns + x;
+    const cell = this.cells[pointer];
+    const next = this.cells[pointer + 1] as Cell | undefined;
+
+    if (cell.isContinuation) this.cells[pointer - 1].setChar(' ');
+    if (next?.isContinuation === true) {
+      next.isContinuation = false;
+      next.setChar(' ');
+    }
+
+    cell.setChar(char);
+    cell.setBackground(this.background.r, this.background.g, this.background.b);
+    cell.setForeground(this.foreground.r, this.foreground.g, this.foreground.b);
+    cell.setDisplay(this.display);
+    cell.isContinuation = isContinuation;
+  }
+
+  /**
+   * Execute the escape sequence that is not a control sequence (ESC followed by one char).
+   *
+   * @private
+   * @param {String} escape Char after ESC
+   */
+  private executeEscape (escape: string): void {
+    if (escape === 'c') this.reset();
+  }
+
+  /**
+   * Execute the control sequence (ESC [ params command).
+   *
+   * @private
+   * @param {String} params Parameters of the control sequence, separated with semicolon
+   * @param {String} command Final char of the control sequence
+   */
+  private executeSequence (params: string, command: string): void {
+    if (params.startsWith('?')) {
+      this.setPrivateMode(params.slice(1), command);
+      return;
+    }
+
+    const args = params.split(';').map((param) => parseInt(param, 10));
+    const count = VirtualTerminal.getCount(args[0]);
+    // Cursor stays at the last column while the wrap to the next line is pending
+    const x = Math.min(this.cursorX, this.columns - 1);
+    const y = this.cursorY;
+
+    const positions = new Map<string, [number, number]>([
+      ['A', [x, y - count]],
+      ['B', [x, y + count]],
+      ['C', [x + count, y]],
+      ['D', [x - count, y]],
+      ['E', [0, y + count]],
+      ['F', [0, y - count]],
+      ['G', [count - 1, y]],
+      ['d', [x, count - 1]],
+      ['H', [VirtualTerminal.getCount(args[1]) - 1, count - 1]],
+      ['f', [VirtualTerminal.getCount(args[1]) - 1, count - 1]],
+    ]);
+    const position = positions.get(command);
+
+    if (typeof position !== 'undefined') this.moveCursor(...position);
+    if (command === 'm') this.setGraphicsRendition(args);
+  }
+
+  /**
+   * Set or reset DEC private mode.
+   * Alternate screen 1049 is the same as 47, but it saves the cursor before switching and restores it after.
+   *
+   * @private
+   * @param {String} mode Number of the mode
+   * @param {String} command `h` sets the mode and `l` resets it
+   */
+  private setPrivateMode (mode: string, command: string): void {
+    const isSet = command === 'h';
+    const isAlternateScreenMode = mode === '47' || mode === '1049';
+    if (!isSet && command !== 'l') return;
+
+    if (mode === '25') this.isCursorVisible = isSet;
+
+    if (isAlternateScreenMode && isSet && !this.isAlternateScreen) {
+      if (mode === '1049') this.saveCursor();
+      this.mainScreen = this.cells;
+      this.cells = this.createScreen();
+      this.isAlternateScreen = true;
+    }
+
+    if (isAlternateScreenMode && !isSet && this.isAlternateScreen) {
+      this.cells = this.mainScreen;
+      this.mainScreen = [];
+      this.isAlternateScreen = false;
+      if (mode === '1049') this.restoreCursor();
+    }
+  }
+
+  /**
+   * Save the position of the cursor and the graphics state.
+   *
+   * @private
+   */
+  private saveCursor (): void {
+    const { background, foreground, display } = this;
+    this.savedCursor = Cell.create(' ', { background, display, foreground, x: this.cursorX, y: this.cursorY });
+  }
+
+  /**
+   * Restore the position of the cursor and the graphics state, which were saved by {@link saveCursor}.
+   *
+   * @private
+   */
+  private restoreCursor (): void {
+    if (this.savedCursor === null) return;
+
+    this.cursorX = this.savedCursor.x;
+    this.cursorY = this.savedCursor.y;
+    this.background = { ...this.savedCursor.background };
+    this.foreground = { ...this.savedCursor.foreground };
+    this.display = { ...this.savedCursor.display };
+    this.savedCursor = null;
+  }
+
+  /**
+   * Apply SGR attributes to the current graphics state.
+   * Extended colors (`38;2;r;g;b` and `38;5;n`) consume the following attributes.
+   *
+   * @private
+   * @param {Array<Number>} attributes Parsed SGR attributes, NaN is treated as reset
+   */
+  private setGraphicsRendition (attributes: number[]): void {
+    for (let i = 0; i < attributes.length; i += 1) {
+      const attribute = Number.isNaN(attributes[i]) ? DISPLAY_MODES.RESET_ALL : attributes[i];
+      const isExtendedColor = attribute === 38 || attribute === 48;
+
+      if (isExtendedColor && attributes[i + 1] === 2) {
+        this.setColor({ r: attributes[i + 2], g: attributes[i + 3], b: attributes[i + 4] }, attribute === 48);
+        i += 4;
+      } else if (isExtendedColor && attributes[i + 1] === 5) {
+        this.setColor(Color.fromAnsi256(attributes[i + 2]).toRgb(), attribute === 48);
+        i += 2;
+      } else {
+        this.setAttribute(attribute);
+      }
+    }
+  }
+
+  /**
+   * Apply one SGR attribute (display modes and 16 colors) to the current graphics state.
+   *
+   * @private
+   * @param {Number} attribute SGR attribute
+   */
+  private setAttribute (attribute: number): void {
+    if (attribute === DISPLAY_MODES.RESET_ALL) {
+      this.setColor({ r: -1, g: -1, b: -1 }, false);
+      this.setColor({ r: -1, g: -1, b: -1 }, true);
+      for (const [mode] of VirtualTerminal.DISPLAY_ATTRIBUTES) this.display[mode] = false;
+    }
+
+    for (const [mode, set, reset] of VirtualTerminal.DISPLAY_ATTRIBUTES) {
+      if (attribute === set) this.display[mode] = true;
+      if (attribute === reset) this.display[mode] = false;
+    }
+
+    // 30-37 and 40-47 are normal colors, 90-97 and 100-107 are bright ones, 39 and 49 are default colors
+    const isBright = attribute >= 90;
+    const offset = attribute - (isBright ? 90 : 30);
+    const index = offset % 10;
+    const isBackground = offset >= 10;
+
+    const isColor = offset >= 0 && offset < 20;
+
+    if (isColor && index < 8) {
+      this.setColor(ANSI_COLORS[index + (isBright ? 8 : 0)], isBackground);
+    } else if (isColor && !isBright && index === 9) {
+      this.setColor({ r: -1, g: -1, b: -1 }, isBackground);
+    }
+  }
+
+  /**
+   * Set the foreground or background color of the current graphics state.
+   *
+   * @private
+   * @param {IColor} color Color to set, negative channels mean the default color
+   * @param {Boolean} isBackground Set the background color instead of the foreground one
+   */
+  private setColor (color: IColor, isBackground: boolean): void {
+    if (isBackground) {
+      this.background = { r: color.r, g: color.g, b: color.b };
+    } else {
+      this.foreground = { r: color.r, g: color.g, b: color.b };
+    }
+  }
+}
@@ -0,0 +1,4 @@
+export interface IVirtualTerminalOptions {
+  columns: number
+  rows: number
+}
@@ -0,0 +1,35 @@
+import { getGraphemeWidth } from '../grapheme/getGraphemeWidth';
+import { getTextWidth } from '../grapheme/getTextWidth';
+import { segmentGraphemes } from '../grapheme/segmentGraphemes';
+
+/**
+ * Truncate the text to fit into the specified number of columns.
+ * If the text is truncated, ellipsis is appended to it, so the result still fits into the width.
+ * Grapheme clusters are never split, wide char that doesn't fit is dropped entirely.
+ *
+ * @param {String} text Text without new lines
+ * @param {Number} width Maximum number of columns
+ * @param {String} [ellipsis=''] String to append if the text is truncated
+ * @returns {String}
+ * @example
+ * truncateText('Hello, world', 5); // returns 'Hello'
+ * truncateText('Hello, world', 5, '…'); // returns 'Hell…'
+ */
+export function truncateText (text: string, width: number, ellipsis = ''): string {
+  if (width <= 0) return '';
+  if (getTextWidth(text) <= width) return text;
+
+  const maxWidth = width - getTextWidth(ellipsis);
+  if (maxWidth < 0) return truncateText(ellipsis, width);
+
+  let result = '';
+  let resultWidth = 0;
+
+  for (const char of segmentGraphemes(text)) {
+    resultWidth += getGraphemeWidth(char);
+    if (resultWidth > maxWidth) break;
+    result += char;
+  }
+
+  return result + ellipsis;
+}
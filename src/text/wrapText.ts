@@ -0,0 +1,48 @@
+import { getTextWidth } from '../grapheme/getTextWidth';
+import { segmentGraphemes } from '../grapheme/segmentGraphemes';
+import { truncateText } from './truncateText';
+
+/**
+ * Word-wrap the text into lines that fit into the specified number of columns.
+ * New lines in the text are kept, words are separated by spaces.
+ * Words that are longer than the width are broken between grapheme clusters.
+ *
+ * @param {String} text Text to wrap
+ * @param {Number} width Maximum number of columns in the line
+ * @returns {Array<String>} Returns an array of lines
+ * @example
+ * wrapText('Hello, world', 8); // returns ['Hello,', 'world']
+ * wrapText('Supercalifragilistic', 8); // returns ['Supercal', 'ifragili', 'stic']
+ */
+export function wrapText (text: string, width: number): string[] {
+  const lines: string[] = [];
+
+  for (const paragraph of text.split('\n')) {
+    let line = '';
+
+    for (const word of paragraph.split(' ')) {
+      const candidate = line === '' ? word : `${line} ${word}`;
+
+      if (getTextWidth(candidate) <= width) {
+        line = candidate;
+      } else {
+        if (line !== '') lines.push(line);
+        line = word;
+
+        // Chunk has at least one grapheme, even if it is wider than the line, so the loop always advances
+        while (getTextWidth(line) > width && segmentGraphemes(line).length > 1) {
+          const [grapheme] = segmentGraphemes(line);
+          const head = truncateText(line, width);
+          const chunk = head === '' ? grapheme : head;
+
+          lines.push(chunk);
+          line = line.slice(chunk.length);
+        }
+      }
+    }
+
+    lines.push(line);
+  }
+
+  return lines;
+}
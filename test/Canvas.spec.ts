@@ -1,4 +1,11 @@
-import { Canvas } from '../src/canvas/Canvas';
+import { BOX_STYLES, COLOR_DEPTHS, Canvas, VirtualTerminal } from '../src/canvas/Canvas';
+import { Color } from '../src/color/Color';
+import { EventEmitter } from 'events';
+import { WriteStream } from 'tty';
+
+function createTTYStream (columns: number, rows: number): WriteStream {
+  return Object.assign(new EventEmitter(), { columns, isTTY: true, rows, write: jest.fn() }) as unknown as WriteStream;
+}
 
 describe('canvas', () => {
   it('should properly initialize with default arguments', () => {
@@ -64,6 +71,32 @@ describe('canvas', () => {
     expect(canvas.height).toStrictEqual(10);
   });
 
+  it('should properly initialize with custom color depth argument', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ colorDepth: COLOR_DEPTHS.ANSI_256 });
+
+    expect(canvas.colorDepth).toStrictEqual(COLOR_DEPTHS.ANSI_256);
+    expect(canvas.encoder.colorDepth).toStrictEqual(COLOR_DEPTHS.ANSI_256);
+  });
+
+  it('should properly detect color depth from the stream and environment', () => {
+    expect.hasAssertions();
+
+    const { isTTY } = process.stdout;
+    const env = { ...process.env };
+
+    process.stdout.isTTY = true;
+    process.env = { COLORTERM: 'truecolor' };
+    expect(new Canvas().colorDepth).toStrictEqual(COLOR_DEPTHS.TRUECOLOR);
+
+    process.env = { COLORTERM: 'truecolor', NO_COLOR: '1' };
+    expect(new Canvas().colorDepth).toStrictEqual(COLOR_DEPTHS.NONE);
+
+    process.stdout.isTTY = isTTY;
+    process.env = env;
+  });
+
   it('should properly initialize the coordinates for the cells', () => {
     expect.hasAssertions();
 
@@ -115,6 +148,88 @@ describe('canvas', () => {
     expect(canvas.cells[4].getChar()).toStrictEqual(' ');
   });
 
+  it('should properly write grapheme clusters into one cell', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ width: 20, height: 10 });
+    canvas.write('e\u0301a\u2764');
+
+    expect(canvas.cursorX).toStrictEqual(3);
+    expect(canvas.cells.slice(0, 3).map((cell) => cell.getChar())).toStrictEqual(['e\u0301', 'a', '\u2764']);
+  });
+
+  it('should properly write wide chars into two cells', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ width: 20, height: 10 });
+    canvas.background('#000000').write('字\u{1F44D}\u{1F3FD}a');
+
+    expect(canvas.cursorX).toStrictEqual(5);
+    expect(canvas.cells.slice(0, 5).map((cell) => cell.getChar())).toStrictEqual([
+      '字', '', '\u{1F44D}\u{1F3FD}', '', 'a',
+    ]);
+    expect(canvas.cells.slice(0, 5).map((cell) => cell.isContinuation)).toStrictEqual([
+      false, true, false, true, false,
+    ]);
+    expect(canvas.cells[1].background).toStrictEqual({ r: 0, g: 0, b: 0 });
+  });
+
+  it('should properly fill the clipped wide chars with spaces', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ width: 4, height: 2 });
+    canvas.moveTo(-1, 0).write('字a字字');
+
+    expect(canvas.cursorX).toStrictEqual(6);
+    expect(canvas.cells.slice(0, 4).map((cell) => cell.getChar())).toStrictEqual([' ', 'a', '字', '']);
+
+    canvas.moveTo(2, 1).write('a字');
+    expect(canvas.cells.slice(4, 8).map((cell) => cell.getChar())).toStrictEqual([' ', ' ', 'a', ' ']);
+    expect(canvas.cells.some((cell, index) => cell.isContinuation && index !== 3)).toBe(false);
+  });
+
+  it('should properly erase the rest of the wide char when it is overwritten', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ width: 6, height: 2 });
+
+    canvas.write('字字字');
+    canvas.moveTo(1, 0).write('a');
+    canvas.moveTo(2, 0).write('b');
+    canvas.moveTo(5, 0).write('字');
+
+    expect(canvas.cells.slice(0, 6).map((cell) => cell.getChar())).toStrictEqual([' ', 'a', 'b', ' ', ' ', ' ']);
+    expect(canvas.cells.some((cell) => cell.isContinuation)).toBe(false);
+  });
+
+  it('should properly erase the rest of the wide char when it is erased', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ width: 6, height: 2 });
+
+    canvas.write('字字字');
+    canvas.erase(1, 0, 1, 0);
+    canvas.erase(4, 0, 4, 0);
+
+    expect(canvas.cells.slice(0, 6).map((cell) => cell.getChar())).toStrictEqual([' ', ' ', '字', '', ' ', ' ']);
+    expect(canvas.cells.map((cell) => cell.isContinuation).indexOf(true)).toStrictEqual(3);
+  });
+
+  it('should properly flush wide chars without painting continuation cells', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ colorDepth: COLOR_DEPTHS.NONE, width: 6, height: 2 });
+    const spy = jest.spyOn(process.stdout, 'write');
+
+    canvas.write('字a字').flush();
+    canvas.moveTo(1, 0).write('b').flush();
+    canvas.moveTo(0, 0).write('字').flush();
+
+    expect(spy.mock.calls[0][0]).toStrictEqual('\u001b[1;1f字\u001b[3Ga字');
+    expect(spy.mock.calls[1][0]).toStrictEqual('\u001b[1;1f b');
+    expect(spy.mock.calls[2][0]).toStrictEqual('\u001b[1;1f字');
+  });
+
   it('should properly flush the buffer into the stream', () => {
     expect.hasAssertions();
 
@@ -141,6 +256,199 @@ describe('canvas', () => {
     expect(spy.mock.calls).toHaveLength(2);
   });
 
+  it('should properly flush only the difference between the terminal state and the cells', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ colorDepth: COLOR_DEPTHS.TRUECOLOR, width: 20, height: 10 });
+    const spy = jest.spyOn(process.stdout, 'write');
+
+    canvas.foreground('white').write('te');
+    canvas.bold().write('st');
+    canvas.bold(false).moveTo(0, 1).write('a');
+    canvas.moveTo(5, 1).write('b');
+    canvas.flush();
+    canvas.moveTo(0, 0).write('t').flush();
+
+    expect(spy.mock.calls[0][0]).toStrictEqual(
+      '\u001b[1;1f\u001b[38;2;255;255;255mte\u001b[1mst\u001b[E\u001b[22ma\u001b[6Gb\u001b[0m',
+    );
+    expect(spy.mock.calls[1][0]).toStrictEqual('');
+  });
+
+  it('should properly reduce the payload size of a full-screen frame', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ colorDepth: COLOR_DEPTHS.TRUECOLOR, width: 80, height: 24 });
+    const spy = jest.spyOn(process.stdout, 'write');
+
+    for (let y = 0; y < canvas.height; y += 1) {
+      for (let x = 0; x < canvas.width; x += 1) {
+        canvas
+          .moveTo(x, y)
+          .background(`rgb(${x}, ${y}, ${Math.floor(x / 8)})`)
+          .foreground('white')
+          .write('#');
+      }
+    }
+
+    const naivePayload = canvas.cells.map((cell) => cell.toString()).join('');
+    canvas.flush();
+
+    expect(naivePayload.length / String(spy.mock.calls[0][0]).length).toBeGreaterThan(2);
+  });
+
+  it('should properly reduce the payload size of a text frame', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ colorDepth: COLOR_DEPTHS.TRUECOLOR, width: 80, height: 24 });
+    const spy = jest.spyOn(process.stdout, 'write');
+
+    canvas.background('blue').foreground('white');
+    for (let y = 0; y < canvas.height; y += 1) {
+      canvas.moveTo(0, y).write('Lorem ipsum dolor sit amet, consectetur adipiscing elit'.padEnd(canvas.width));
+    }
+
+    const naivePayload = canvas.cells.map((cell) => cell.toString()).join('');
+    canvas.flush();
+
+    expect(String(spy.mock.calls[0][0]).length).toBeLessThan(canvas.width * canvas.height + 200);
+    expect(naivePayload.length / String(spy.mock.calls[0][0]).length).toBeGreaterThan(20);
+  });
+
+  it('should properly flush the buffer with reduced color depth', () => {
+    expect.hasAssertions();
+
+    const spy = jest.spyOn(process.stdout, 'write');
+
+    for (const colorDepth of [COLOR_DEPTHS.ANSI_256, COLOR_DEPTHS.ANSI_16, COLOR_DEPTHS.NONE]) {
+      new Canvas({ colorDepth, width: 20, height: 10 })
+        .background('#FF0000')
+        .write('a')
+        .flush();
+    }
+
+    expect(spy.mock.calls[0][0]).toStrictEqual('\u001b[1;1f\u001b[48;5;196ma\u001b[0m');
+    expect(spy.mock.calls[1][0]).toStrictEqual('\u001b[1;1f\u001b[101ma\u001b[0m');
+    expect(spy.mock.calls[2][0]).toStrictEqual('\u001b[1;1fa');
+  });
+
+  it('should properly resize the canvas keeping the overlapped content', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ width: 4, height: 3 });
+    canvas.moveTo(0, 0).write('abcd');
+    canvas.moveTo(0, 2).write('ijkl');
+
+    expect(canvas.resize(2, 4)).toBeInstanceOf(Canvas);
+    expect(canvas.width).toStrictEqual(2);
+    expect(canvas.height).toStrictEqual(4);
+    expect(canvas.cells).toHaveLength(2 * 4);
+    expect(canvas.lastFrame).toStrictEqual(Array.from({ length: 2 * 4 }).fill(''));
+    expect(canvas.cells.map((cell) => cell.getChar()).join('')).toStrictEqual('ab  ij  ');
+    expect(canvas.cells.map((cell) => [cell.x, cell.y])).toStrictEqual([
+      [0, 0], [1, 0], [0, 1], [1, 1], [0, 2], [1, 2], [0, 3], [1, 3],
+    ]);
+    expect(canvas.cells.every((cell) => cell.isModified)).toBe(true);
+    expect(canvas.getPointerFromXY(1, 2)).toStrictEqual(5);
+  });
+
+  it('should properly repaint the whole canvas after resize', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ colorDepth: COLOR_DEPTHS.NONE, width: 4, height: 2 });
+    const spy = jest.spyOn(process.stdout, 'write');
+
+    canvas.write('ab').flush();
+    canvas.resize(3, 2).flush();
+
+    expect(spy.mock.calls[0][0]).toStrictEqual('\u001b[1;1fab');
+    expect(spy.mock.calls[1][0]).toStrictEqual('\u001b[1;1fab \u001b[E   ');
+  });
+
+  it('should properly clip the wide chars on resize', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ width: 4, height: 1 });
+    canvas.write('字字').resize(3, 1);
+
+    expect(canvas.cells.map((cell) => cell.getChar())).toStrictEqual(['字', '', ' ']);
+    expect(canvas.cells.map((cell) => cell.isContinuation)).toStrictEqual([false, true, false]);
+  });
+
+  it('should properly emit resize event', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ width: 4, height: 2 });
+    const listener = jest.fn();
+
+    canvas.on('resize', listener);
+    canvas.resize(10.5, 5);
+
+    expect(listener).toHaveBeenCalledWith(10, 5);
+  });
+
+  it('should properly follow the size of the TTY stream', () => {
+    expect.hasAssertions();
+
+    const stream = createTTYStream(20, 10);
+    const canvas = new Canvas({ stream });
+
+    Object.assign(stream, { columns: 30, rows: 15 });
+    stream.emit('resize');
+
+    expect(canvas.width).toStrictEqual(30);
+    expect(canvas.height).toStrictEqual(15);
+    expect(canvas.cells).toHaveLength(30 * 15);
+  });
+
+  it('should properly follow the size of the stdout by default', () => {
+    expect.hasAssertions();
+
+    const { isTTY, columns, rows } = process.stdout;
+    process.stdout.isTTY = true;
+
+    const canvas = new Canvas();
+    Object.assign(process.stdout, { columns: 12, rows: 6 });
+    process.stdout.emit('resize');
+    canvas.destroy();
+
+    expect(canvas.width).toStrictEqual(12);
+    expect(canvas.height).toStrictEqual(6);
+
+    Object.assign(process.stdout, { columns, isTTY, rows });
+  });
+
+  it('should properly keep the custom size when TTY stream resizes', () => {
+    expect.hasAssertions();
+
+    const stream = createTTYStream(20, 10);
+    const fixedWidthCanvas = new Canvas({ stream, width: 5 });
+    const fixedHeightCanvas = new Canvas({ stream, height: 5 });
+    const fixedCanvas = new Canvas({ stream, width: 5, height: 5 });
+
+    Object.assign(stream, { columns: 30, rows: 15 });
+    stream.emit('resize');
+
+    expect(fixedWidthCanvas.width).toStrictEqual(5);
+    expect(fixedWidthCanvas.height).toStrictEqual(15);
+    expect(fixedHeightCanvas.width).toStrictEqual(30);
+    expect(fixedHeightCanvas.height).toStrictEqual(5);
+    expect(fixedCanvas.width).toStrictEqual(5);
+    expect(fixedCanvas.height).toStrictEqual(5);
+    expect(stream.listenerCount('resize')).toStrictEqual(2);
+  });
+
+  it('should properly stop following the size of the stream when destroyed', () => {
+    expect.hasAssertions();
+
+    const stream = createTTYStream(20, 10);
+    const canvas = new Canvas({ stream });
+
+    expect(stream.listenerCount('resize')).toStrictEqual(1);
+    expect(canvas.destroy()).toBeInstanceOf(Canvas);
+    expect(stream.listenerCount('resize')).toStrictEqual(0);
+  });
+
   it('should properly calculate buffer pointer', () => {
     expect.hasAssertions();
 
@@ -441,6 +749,239 @@ describe('canvas', () => {
     expect(spy.mock.calls[0]).toMatchObject([0, 0, 20 - 1, 10 - 1]);
   });
 
+  it('should properly draw the lines with Bresenham algorithm', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ width: 6, height: 4 });
+    canvas.moveTo(1, 1).foreground('#FF0000');
+
+    expect(canvas.line({ x1: 0, x2: 5, y1: 0, y2: 2 })).toBeInstanceOf(Canvas);
+    expect(canvas.line()).toBeInstanceOf(Canvas);
+    expect(canvas.line({ char: '*', x1: 5.5, x2: 5, y1: 3, y2: 3 })).toBeInstanceOf(Canvas);
+    expect(canvas.line({ char: '+', x1: 0, x2: 1, y1: 3, y2: 1 })).toBeInstanceOf(Canvas);
+    expect(canvas.toText()).toStrictEqual('██\n +██\n +  ██\n+    *');
+    expect(canvas.cells[0].foreground).toStrictEqual({ r: 255, g: 0, b: 0 });
+    expect(canvas.cursorX).toStrictEqual(1);
+    expect(canvas.cursorY).toStrictEqual(1);
+  });
+
+  it('should properly draw the horizontal and vertical lines with junctions', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ width: 5, height: 3 });
+
+    expect(canvas.horizontalLine(0, 1, 5)).toBeInstanceOf(Canvas);
+    expect(canvas.verticalLine(2, 0, 3)).toBeInstanceOf(Canvas);
+    expect(canvas.verticalLine(4, 1, 2, BOX_STYLES.HEAVY)).toBeInstanceOf(Canvas);
+    expect(canvas.toText()).toStrictEqual('  │\n──┼─┳\n  │ ┃');
+
+    canvas.moveTo(0, 2).write('字').horizontalLine(1, 2, 1)
+      .verticalLine(3, 0, 1)
+      .strokeRect({ height: 1, width: 1, x: 4, y: 0 });
+    expect(canvas.toText()).toStrictEqual('  ││─\n──┼─┳\n ─│ ┃');
+
+    canvas.moveTo(0, 0).write('a-b')
+      .verticalLine(1, 0, 1)
+      .horizontalLine(3, 0, 1, BOX_STYLES.ASCII);
+    expect(canvas.toText()).toStrictEqual('a│b+─\n──┼─┳\n ─│ ┃');
+  });
+
+  it('should properly fill the rectangle', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ width: 5, height: 3 });
+    canvas.moveTo(2, 2).background('#0000FF');
+
+    expect(canvas.fillRect()).toBeInstanceOf(Canvas);
+    expect(canvas.fillRect({ char: '字', height: 2, width: 3, x: 1, y: 0 })).toBeInstanceOf(Canvas);
+    expect(canvas.fillRect({ char: '', height: 10, width: 10, x: 3, y: 1 })).toBeInstanceOf(Canvas);
+    expect(canvas.fillRect({ char: '#', height: 2, width: -3, x: 0, y: 0 })).toBeInstanceOf(Canvas);
+    expect(canvas.toText()).toStrictEqual(' 字\n 字\n');
+    expect(canvas.cells[9].background).toStrictEqual({ r: 0, g: 0, b: 255 });
+    expect(canvas.cells[9].char).toStrictEqual(' ');
+    expect(canvas.cells[13].background).toStrictEqual({ r: 0, g: 0, b: 255 });
+    expect(canvas.cursorX).toStrictEqual(2);
+    expect(canvas.cursorY).toStrictEqual(2);
+  });
+
+  it('should properly draw the border of the rectangle', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ width: 12, height: 3 });
+
+    expect(canvas.strokeRect({ height: 3, width: 4 })).toBeInstanceOf(Canvas);
+    expect(canvas.strokeRect({ height: 3, style: BOX_STYLES.ROUNDED, width: 4, x: 4, y: 0 })).toBeInstanceOf(Canvas);
+    expect(canvas.strokeRect({ style: BOX_STYLES.ASCII, x: 8 })).toBeInstanceOf(Canvas);
+    expect(canvas.toText()).toStrictEqual('┌──┐╭──╮+--+\n│  ││  │|  |\n└──┘╰──╯+--+');
+
+    canvas.strokeRect({ style: BOX_STYLES.DOUBLE, width: 8 }).strokeRect({ width: 0 });
+    expect(canvas.toText()).toStrictEqual('╔══╦╦══╗+--+\n║  ││  ║|  |\n╚══╩╩══╝+--+');
+    expect(new Canvas({ width: 3, height: 2 }).strokeRect()
+      .toText()).toStrictEqual('┌─┐\n└─┘');
+  });
+
+  it('should properly join the borders of adjacent rectangles', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ width: 7, height: 5 });
+    canvas.strokeRect({ height: 3, width: 4 }).strokeRect({ height: 3, width: 4, x: 3 })
+      .strokeRect({ x: 0, y: 2 })
+      .strokeRect({ height: 2, width: 2, x: -1, y: -1 });
+
+    expect(canvas.toText()).toStrictEqual('┼──┬──┐\n│  │  │\n├──┴──┤\n│     │\n└─────┘');
+  });
+
+  it('should properly write the text into the region', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ width: 8, height: 4 });
+    canvas.moveTo(7, 3);
+
+    expect(canvas.text(0, 0, 8, 'left\nlonger than width')).toBeInstanceOf(Canvas);
+    expect(canvas.text(0, 2, 8, 'center', { align: 'center' })).toBeInstanceOf(Canvas);
+    expect(canvas.text(0, 3, 8, '你好', { align: 'right' })).toBeInstanceOf(Canvas);
+    expect(canvas.toText()).toStrictEqual('left\nlonger t\n center\n    你好');
+    expect(canvas.cursorX).toStrictEqual(7);
+    expect(canvas.cursorY).toStrictEqual(3);
+  });
+
+  it('should properly wrap and truncate the text in the region', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ width: 8, height: 4 });
+    const data = 'The quick brown fox jumps';
+
+    canvas.text(0, 0, 7, data, { ellipsis: true, height: 2, wrap: true });
+    canvas.text(0, 2, 7, data, { ellipsis: true });
+    canvas.text(0, 3, 4, 'a b c d', { ellipsis: true, height: 1, wrap: true });
+    expect(canvas.toText()).toStrictEqual('The\nquick…\nThe qu…\na b…');
+
+    canvas.text(0, 0, 8, data, { height: 0 }).text(0, 0, 0, data)
+      .text(0, 0, -1, data, { ellipsis: true, wrap: true });
+    expect(canvas.toText()).toStrictEqual('The\nquick…\nThe qu…\na b…');
+  });
+
+  it('should properly clip the text by the canvas bounds', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ width: 6, height: 2 });
+    canvas.text(-2, -1, 20, 'hidden\nclipped text', { wrap: true });
+
+    expect(canvas.toText()).toStrictEqual('ipped\n');
+  });
+
+  it('should properly draw the image with half blocks', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ colorDepth: COLOR_DEPTHS.TRUECOLOR, height: 3, width: 4 });
+    const image = { data: [255, 0, 0, 0, 255, 0, 0, 0, 255, 255, 255, 255], height: 2, width: 2 };
+
+    canvas.moveTo(3, 2).foreground('#FFFF00').drawImage(image, { height: 1, width: 2, x: 1, y: 1 });
+
+    expect(canvas.toText()).toStrictEqual('\n ▀▀\n');
+    expect(canvas.cells[5].foreground).toStrictEqual({ r: 255, g: 0, b: 0 });
+    expect(canvas.cells[5].background).toStrictEqual({ r: 0, g: 0, b: 255 });
+    expect(canvas.cells[6].foreground).toStrictEqual({ r: 0, g: 255, b: 0 });
+    expect(canvas.cells[6].background).toStrictEqual({ r: 255, g: 255, b: 255 });
+    expect([canvas.cursorX, canvas.cursorY]).toStrictEqual([3, 2]);
+    expect(canvas.cursorForeground).toStrictEqual({ r: 255, g: 255, b: 0 });
+    expect(canvas.cursorBackground).toStrictEqual({ r: -1, g: -1, b: -1 });
+  });
+
+  it('should properly skip the transparent pixels of the image', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ colorDepth: COLOR_DEPTHS.TRUECOLOR, height: 1, width: 3 });
+    const [red, blue, transparent] = [[255, 0, 0, 255], [0, 0, 255, 255], [0, 0, 0, 0]];
+    const image = { data: [transparent, red, transparent, blue, transparent, transparent].flat(), height: 2, width: 3 };
+
+    canvas.write('abc').drawImage(image, { height: 1 });
+
+    expect(canvas.toText()).toStrictEqual('▄▀c');
+    expect(canvas.cells[0].foreground).toStrictEqual({ r: 0, g: 0, b: 255 });
+    expect(canvas.cells[0].background).toStrictEqual({ r: -1, g: -1, b: -1 });
+    expect(canvas.cells[1].foreground).toStrictEqual({ r: 255, g: 0, b: 0 });
+    expect(canvas.cells[1].background).toStrictEqual({ r: -1, g: -1, b: -1 });
+  });
+
+  it('should properly calculate the size of the image by its proportions', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ colorDepth: COLOR_DEPTHS.NONE, height: 10, width: 10 });
+    const image = { data: Array.from<number>({ length: 48 }).fill(255), height: 4, width: 4 };
+
+    canvas.drawImage(image);
+    expect(canvas.toText()).toStrictEqual(`${'▀▀▀▀▀▀▀▀▀▀\n'.repeat(5)}\n\n\n\n`);
+
+    canvas.eraseScreen().drawImage(image, { mode: 'ascii', ramp: '.#', width: 4, x: 8, y: 9 });
+    expect(canvas.toText()).toStrictEqual(`${'\n'.repeat(9)}        ##`);
+
+    canvas.eraseScreen().drawImage(image, { height: 3, mode: 'ascii', ramp: '.#' });
+    expect(canvas.toText()).toStrictEqual(`${'######\n'.repeat(3)}${'\n'.repeat(6)}`);
+
+    canvas.eraseScreen().drawImage(image, { cellAspectRatio: 1, mode: 'ascii', ramp: '.#', x: 7 });
+    expect(canvas.toText()).toStrictEqual(`${'       ###\n'.repeat(3)}${'\n'.repeat(6)}`);
+
+    canvas.eraseScreen().drawImage({ data: [], height: 0, width: 0 }).drawImage(image, { x: 10 });
+    expect(canvas.toText()).toStrictEqual('\n'.repeat(9));
+  });
+
+  it('should properly draw the image with Braille dots', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ colorDepth: COLOR_DEPTHS.NONE, height: 1, width: 3 });
+    const [black, white, transparent] = [[0, 0, 0, 255], [255, 255, 255, 255], [0, 0, 0, 0]];
+    const rows = [
+      [white, black, black, black, transparent, transparent],
+      [black, white, black, black, transparent, transparent],
+      [black, black, black, black, transparent, transparent],
+      [white, white, black, black, transparent, transparent],
+    ];
+
+    const image = { data: rows.flat(2), height: 4, width: 6 };
+
+    canvas.write('abc').drawImage(image, { height: 1, mode: 'braille', width: 3 });
+
+    expect(canvas.toText()).toStrictEqual('⣑⠀c');
+  });
+
+  it('should properly draw the image with the ASCII ramp', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ colorDepth: COLOR_DEPTHS.NONE, height: 1, width: 10 });
+    const data = Array.from({ length: 10 }, (_, i) => [i * 255 / 9, i * 255 / 9, i * 255 / 9]).flat();
+
+    canvas.drawImage({ data, height: 1, width: 10 }, { height: 1, mode: 'ascii', width: 10 });
+    expect(canvas.toText()).toStrictEqual(' .:-=+*#%@');
+
+    canvas.erase(0, 0, 9, 0)
+      .drawImage({ data, height: 1, width: 10 }, { height: 1, mode: 'ascii', ramp: '', width: 10 });
+    expect(canvas.toText()).toStrictEqual(' .:-=+*#%@');
+  });
+
+  it('should properly dither the image to the color depth', () => {
+    expect.hasAssertions();
+
+    const image = { data: Array.from<number>({ length: 48 }).fill(100), height: 4, width: 4 };
+    const colors = (canvas: Canvas): string[] => canvas.cells.map((cell) => Color.create(cell.foreground).toHex());
+
+    const ansi16 = new Canvas({ colorDepth: COLOR_DEPTHS.ANSI_16, height: 2, width: 4 });
+    ansi16.drawImage(image, { dither: 'floyd-steinberg', height: 2, width: 4 });
+    expect(new Set(colors(ansi16))).toStrictEqual(new Set(['#000000', '#7f7f7f']));
+
+    const ansi256 = new Canvas({ colorDepth: COLOR_DEPTHS.ANSI_256, height: 2, width: 4 });
+    ansi256.drawImage(image, { dither: 'ordered', height: 2, width: 4 });
+    expect(new Set(colors(ansi256))).toStrictEqual(new Set(['#4e4e4e', '#585858', '#626262', '#6c6c6c']));
+
+    const truecolor = new Canvas({ colorDepth: COLOR_DEPTHS.TRUECOLOR, height: 2, width: 4 });
+    truecolor.drawImage(image, { dither: 'ordered', height: 2, width: 4 });
+    expect(new Set(colors(truecolor))).toStrictEqual(new Set(['#646464']));
+
+    const ascii = new Canvas({ colorDepth: COLOR_DEPTHS.NONE, height: 2, width: 4 });
+    ascii.drawImage(image, { dither: 'ordered', height: 2, mode: 'ascii', ramp: '.#', width: 4 });
+    expect(ascii.toText()).toStrictEqual('...#\n#.#.');
+  });
+
   it('should properly save the screen contents', () => {
     expect.hasAssertions();
 
@@ -496,6 +1037,352 @@ describe('canvas', () => {
     expect(spy.mock.calls[0][0]).toStrictEqual('\u001bc');
   });
 
+  it('should properly get plain text of the cells buffer', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ width: 6, height: 3 });
+    canvas.moveTo(1, 0).bold()
+      .write('Hi')
+      .moveTo(0, 2)
+      .write('字a');
+
+    expect(canvas.toText()).toStrictEqual(' Hi\n\n字a');
+  });
+
+  it('should properly render the frames into the virtual terminal', () => {
+    expect.hasAssertions();
+
+    const terminal = VirtualTerminal.create({ columns: 10, rows: 3 });
+    const canvas = new Canvas({ colorDepth: COLOR_DEPTHS.TRUECOLOR, stream: terminal });
+
+    canvas.moveTo(0, 0).foreground('#FF0000')
+      .write('Hello')
+      .moveTo(0, 2)
+      .background('#0000FF')
+      .write('世界')
+      .flush();
+    expect(terminal.toText()).toStrictEqual(canvas.toText());
+    expect(terminal.getCell(4, 0)?.foreground).toStrictEqual({ r: 255, g: 0, b: 0 });
+
+    canvas.moveTo(1, 0).foreground('none')
+      .background('none')
+      .write('ey')
+      .moveTo(1, 2)
+      .write('a')
+      .flush();
+    expect(terminal.toText()).toStrictEqual('Heylo\n\n a界');
+    expect(terminal.getCell(1, 0)?.foreground).toStrictEqual({ r: -1, g: -1, b: -1 });
+    expect(terminal.getCell(0, 2)?.background).toStrictEqual({ r: 0, g: 0, b: 255 });
+    expect(terminal.getCell(2, 2)?.isContinuation).toBe(false);
+  });
+
+  it('should properly follow the size of the virtual terminal', () => {
+    expect.hasAssertions();
+
+    const terminal = VirtualTerminal.create({ columns: 10, rows: 3 });
+    const canvas = new Canvas({ colorDepth: COLOR_DEPTHS.NONE, stream: terminal });
+
+    terminal.resize(20, 5);
+
+    expect(canvas.width).toStrictEqual(20);
+    expect(canvas.height).toStrictEqual(5);
+  });
+
+  it('should properly create the layers with default and custom options', () => {
+    expect.hasAssertions();
+
+    const canvas = new Canvas({ colorDepth: COLOR_DEPTHS.NONE, height: 5, width: 10 });
+    const layer = canvas.createLayer({ x: 2.5, y: 1 });
+    const modal = canvas.createLayer({ height: 2, width: 3, x: 1, y: 1, zIndex: 2 });
+
+    expect(canvas.layers).toStrictEqual([layer, modal]);
+    expect(layer.parent).toBe(canvas);
+    expect(layer.stream).toBe(canvas.stream);
+    expect([layer.x, layer.y, layer.width, layer.height, layer.zIndex]).toStrictEqual([2, 1, 8, 4, 0]);
+    expect([modal.x, modal.y, modal.width, modal.height, modal.zIndex]).toStrictEqual([1, 1, 3, 2, 2]);
+    expect(layer.cells.every((cell) => cell.isTransparent)).toBe(true);
+    expect(canvas.createLayer({ x: 20, y: 20 }).cells).toHaveLength(0);
+    expect(canvas.removeLayer(layer).layers).toHaveLength(2);
+  });
+
+  it('should properly composite the layers by z-index with clipping and transparency', () => {
+    expect.hasAssertions();
+
+    const terminal = VirtualTerminal.create({ columns: 8, rows: 3 });
+    const canvas = new Canvas({ colorDepth: COLOR_DEPTHS.TRUECOLOR, stream: terminal });
+    const top = canvas.createLayer({ height: 1, width: 4, x: 2, y: 1, zIndex: 1 });
+    const bottom = canvas.createLayer({ height: 2, width: 4, x: -1, y: 1 });
+    const sibling = canvas.createLayer({ height: 1, width: 2, x: 3, y: 2 });
+
+    canvas.fillRect({ char: '.' });
+    bottom.foreground('#FF0000').moveTo(0, 0).write('abcdefgh');
+    top.moveTo(1, 0).write('XY');
+    sibling.write('zz');
+    bottom.moveTo(0, 1).write('1234');
+
+    expect(canvas.toText()).toStrictEqual('........\n........\n........');
+    expect(bottom.toText()).toStrictEqual('abcd\n1234');
+
+    bottom.flush();
+
+    expect(terminal.toText()).toStrictEqual('........\nbcdXY...\n234zz...');
+    expect(terminal.getCell(0, 1)?.foreground).toStrictEqual({ r: 255, g: 0, b: 0 });
+    expect(terminal.getCell(3, 1)?.foreground).toStrictEqual({ r: -1, g: -1, b: -1 });
+  });
+
+  it('should properly repaint only the cells changed by the layers', () => {
+    expect.hasAssertions();
+
+    const terminal = VirtualTerminal.create({ columns: 6, rows: 2 });
+    const canvas = new Canvas({ colorDepth: COLOR_DEPTHS.NONE, stream: terminal });
+    const layer = canvas.createLayer({ height: 1, width: 2 });
+    const spy = jest.spyOn(terminal, 'write');
+
+    canvas.write('abcdef').flush();
+    layer.write('XY').flush();
+    layer.flush();
+    layer.x = 3;
+    layer.y = 1;
+    canvas.flush();
+
+    expect(terminal.toText()).toStrictEqual('abcdef\n   XY');
+
+    layer.erase(0, 0, 0, 0);
+    canvas.removeLayer(canvas.createLayer()).flush();
+
+    expect(terminal.toText()).toStrictEqual('abcdef\n    Y');
+
+    canvas.removeLayer(layer).flush();
+
+    expect(terminal.toText()).toStrictEqual('abcdef\n');
+    expect(spy.mock.calls[0][0]).toStrictEqual('\u001b[1;1fabcdef');
+    expect(spy.mock.calls[1][0]).toStrictEqual('\u001b[1;1fXY');
+    expect(spy.mock.calls[2][0]).toStrictEqual('');
+    expect(spy.mock.calls[3][0]).toStrictEqual('\u001b[1;1fab\u001b[2;4fXY');
+    expect(spy.mock.calls[4][0]).toStrictEqual('\u001b[2;4f ');
+    expect(spy.mock.calls[5][0]).toStrictEqual('\u001b[2;5f ');
+  });
+
+  it('should properly clip the wide chars of the layers by the edges of the canvas', () => {
+    expect.hasAssertions();
+
+    const terminal = VirtualTerminal.create({ columns: 4, rows: 3 });
+    const canvas = new Canvas({ colorDepth: COLOR_DEPTHS.TRUECOLOR, stream: terminal });
+    const right = canvas.createLayer({ height: 1, width: 3, x: 3, y: 0 });
+    const left = canvas.createLayer({ height: 1, width: 3, x: 0, y: 2 });
+
+    canvas.moveTo(0, 1).write('abcd')
+      .moveTo(0, 2)
+      .write('efgh');
+    right.background('#FF0000').write('字');
+    left.write('字');
+    left.x = -1;
+    canvas.flush();
+
+    expect(terminal.toText()).toStrictEqual('\nabcd\n fgh');
+    expect(terminal.getCell(3, 0)?.background).toStrictEqual({ r: 255, g: 0, b: 0 });
+
+    right.x = 2;
+    left.x = 0;
+    canvas.flush();
+
+    expect(terminal.toText()).toStrictEqual('  字\nabcd\n字gh');
+    expect(terminal.getCell(3, 0)?.char).toStrictEqual('');
+  });
+
+  it('should properly clip the wide chars of the layers cut in half by the other layers', () => {
+    expect.hasAssertions();
+
+    const terminal = VirtualTerminal.create({ columns: 8, rows: 1 });
+    const canvas = new Canvas({ colorDepth: COLOR_DEPTHS.TRUECOLOR, stream: terminal });
+    const wide = canvas.createLayer({ height: 1, width: 2, x: 2, y: 0 });
+    const cover = canvas.createLayer({ height: 1, width: 1, x: 2, y: 0, zIndex: 1 });
+
+    canvas.write('abcdefgh').flush();
+    wide.write('你');
+    cover.write('x');
+    canvas.flush();
+
+    expect(terminal.toText()).toStrictEqual('abx efgh');
+
+    cover.x = 3;
+    canvas.flush();
+
+    expect(terminal.toText()).toStrictEqual('ab xefgh');
+
+    canvas.removeLayer(cover).flush();
+
+    expect(terminal.toText()).toStrictEqual('ab你efgh');
+    expect(terminal.getCell(3, 0)?.char).toStrictEqual('');
+  });
+
+  it('should properly composite the nested and resized layers', () => {
+    expect.hasAssertions();
+
+    const terminal = VirtualTerminal.create({ columns: 6, rows: 2 });
+    const canvas = new Canvas({ colorDepth: COLOR_DEPTHS.NONE, stream: terminal });
+    const window = canvas.createLayer({ height: 2, width: 4, x: 1 });
+    const title = window.createLayer({ height: 1, width: 2, x: 1, zIndex: -1 });
+
+    canvas.write('......');
+    window.write('[  ]');
+    title.write('ok');
+    window.resize(5, 2).moveTo(4, 1).write('!');
+    title.flush();
+
+    expect(window.cells[4].isTransparent).toBe(true);
+    expect(terminal.toText()).toStrictEqual('.[ok].\n     !');
+  });
+
+  it('should properly render the frames at the frame rate on the alternate screen', () => {
+    expect.hasAssertions();
+    jest.useFakeTimers();
+
+    const terminal = VirtualTerminal.create({ columns: 4, rows: 2 });
+    const canvas = new Canvas({ colorDepth: COLOR_DEPTHS.TRUECOLOR, stream: terminal });
+    let frame = 0;
+    const draw = jest.fn((canvasToDraw: Canvas) => {
+      frame += 1;
+      canvasToDraw.moveTo(0, 0).write(String(frame));
+    });
+
+    terminal.write('main');
+    expect(canvas.start(10, draw)).toBe(canvas);
+    expect(canvas.isRunning).toBe(true);
+    expect(terminal.isAlternateScreen).toBe(true);
+    expect(terminal.isCursorVisible).toBe(false);
+    expect(terminal.toText()).toStrictEqual('1\n');
+
+    jest.advanceTimersByTime(250);
+    expect(terminal.toText()).toStrictEqual('3\n');
+
+    expect(canvas.stop().stop()).toBe(canvas);
+    jest.advanceTimersByTime(250);
+
+    expect(canvas.isRunning).toBe(false);
+    expect(draw).toHaveBeenCalledTimes(3);
+    expect(terminal.isAlternateScreen).toBe(false);
+    expect(terminal.isCursorVisible).toBe(true);
+    expect(terminal.toText()).toStrictEqual('main\n');
+
+    jest.useRealTimers();
+  });
+
+  it('should properly wrap the frames in synchronized update without switching the screen', () => {
+    expect.hasAssertions();
+    jest.useFakeTimers();
+
+    const stream = createTTYStream(4, 1);
+    const write = jest.spyOn(stream, 'write').mockReturnValue(true);
+    const canvas = new Canvas({ colorDepth: COLOR_DEPTHS.NONE, stream });
+    const options = { altScreen: false, hideCursor: false, synchronized: true };
+
+    canvas.start(0, (frame) => frame.moveTo(0, 0).write('a'), options).stop();
+    canvas.moveTo(0, 0).write('b')
+      .flush();
+
+    expect(write).toHaveBeenCalledTimes(2);
+    expect(write).toHaveBeenNthCalledWith(1, '\u001b[?2026h\u001b[1;1fa\u001b[?2026l');
+    expect(write).toHaveBeenNthCalledWith(2, '\u001b[1;1fb');
+
+    jest.useRealTimers();
+  });
+
+  it('should properly coalesce the frames while the stream is waiting for drain', () => {
+    expect.hasAssertions();
+    jest.useFakeTimers();
+
+    const stream = createTTYStream(4, 1);
+    const write = jest.spyOn(stream, 'write').mockReturnValue(false);
+    const canvas = new Canvas({ colorDepth: COLOR_DEPTHS.NONE, stream });
+    let frame = 0;
+
+    canvas.start(10, () => {
+      canvas.moveTo(frame, 0).write(String(frame));
+      frame += 1;
+    }, { altScreen: false, hideCursor: false });
+
+    expect(canvas.isWaitingForDrain).toBe(true);
+    jest.advanceTimersByTime(200);
+    expect(write).toHaveBeenCalledTimes(1);
+
+    write.mockReturnValue(true);
+    stream.emit('drain');
+    expect(canvas.isWaitingForDrain).toBe(false);
+    jest.advanceTimersByTime(100);
+    canvas.stop();
+
+    expect(frame).toBe(4);
+    expect(write).toHaveBeenCalledTimes(2);
+    expect(write).toHaveBeenNthCalledWith(1, '\u001b[1;1f0');
+    expect(write).toHaveBeenNthCalledWith(2, '\u001b[1;2f123');
+
+    jest.useRealTimers();
+  });
+
+  it('should properly repaint the whole frame after switching the screen', () => {
+    expect.hasAssertions();
+    jest.useFakeTimers();
+
+    const terminal = VirtualTerminal.create({ columns: 6, rows: 1 });
+    const write = jest.spyOn(terminal, 'write');
+    const canvas = new Canvas({ colorDepth: COLOR_DEPTHS.TRUECOLOR, stream: terminal });
+    const draw = jest.fn();
+
+    canvas.write('static').flush();
+    canvas.start(30, draw, { hideCursor: false });
+    expect(terminal.toText()).toStrictEqual('static');
+
+    canvas.stop().start(30, draw, { hideCursor: false });
+    expect(terminal.isAlternateScreen).toBe(true);
+    expect(terminal.toText()).toStrictEqual('static');
+
+    canvas.stop().flush();
+    expect(terminal.isAlternateScreen).toBe(false);
+    expect(write).toHaveBeenLastCalledWith('\u001b[1;1fstatic');
+
+    canvas.start(30, draw, { altScreen: false, hideCursor: false }).stop();
+    expect(write).toHaveBeenLastCalledWith('');
+
+    jest.useRealTimers();
+  });
+
+  it('should properly restore the terminal on exit and SIGINT', () => {
+    expect.hasAssertions();
+    jest.useFakeTimers();
+
+    const stream = createTTYStream(4, 1);
+    const write = jest.spyOn(stream, 'write');
+    const on = jest.spyOn(process, 'on');
+    const kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+    const listenerCount = jest.spyOn(process, 'listenerCount').mockReturnValue(0);
+    const canvas = new Canvas({ colorDepth: COLOR_DEPTHS.NONE, stream });
+    const getListener = (name: string): () => void => {
+      const listeners = on.mock.calls.filter(([event]) => event === name) as Array<[string, () => void]>;
+      return listeners[listeners.length - 1][1];
+    };
+
+    canvas.start(30, jest.fn());
+    getListener('exit')();
+    expect(canvas.isRunning).toBe(false);
+    expect(process.listeners('exit')).not.toContain(getListener('exit'));
+    expect(write).toHaveBeenLastCalledWith('\u001b[?1049l');
+
+    canvas.start(30, jest.fn());
+    listenerCount.mockReturnValue(1);
+    getListener('SIGINT')();
+    expect(canvas.isRunning).toBe(false);
+    expect(kill).not.toHaveBeenCalled();
+
+    canvas.start(30, jest.fn());
+    listenerCount.mockReturnValue(0);
+    getListener('SIGINT')();
+    expect(process.listeners('SIGINT')).not.toContain(getListener('SIGINT'));
+    expect(kill).toHaveBeenCalledWith(process.pid, 'SIGINT');
+
+    jest.useRealTimers();
+  });
+
   it('should properly create new instance from static create()', () => {
     expect.hasAssertions();
 
@@ -1,3 +1,4 @@
+import { COLOR_DEPTHS } from '../src/color/ColorDepths';
 import { Cell } from '../src/cell/Cell';
 
 describe('cell', () => {
@@ -77,6 +78,12 @@ describe('cell', () => {
     expect(cell.getChar()).toStrictEqual('t');
     expect(cell.setChar('long text')).toBeInstanceOf(Cell);
     expect(cell.getChar()).toStrictEqual('l');
+    expect(cell.setChar('e\u0301t')).toBeInstanceOf(Cell);
+    expect(cell.getChar()).toStrictEqual('e\u0301');
+    expect(cell.setChar('\u{1F469}\u200D\u{1F469}\u200D\u{1F467}')).toBeInstanceOf(Cell);
+    expect(cell.getChar()).toStrictEqual('\u{1F469}\u200D\u{1F469}\u200D\u{1F467}');
+    expect(cell.setChar('')).toBeInstanceOf(Cell);
+    expect(cell.getChar()).toStrictEqual('');
   });
 
   it('should properly get/set X coordinate', () => {
@@ -210,7 +217,9 @@ describe('cell', () => {
       underlined: true,
     });
 
+    cell.isContinuation = true;
     expect(cell.reset()).toBeInstanceOf(Cell);
+    expect(cell.isContinuation).toBe(false);
     expect(cell.char).toStrictEqual(' ');
     expect(cell.x).toStrictEqual(10);
     expect(cell.y).toStrictEqual(20);
@@ -253,6 +262,25 @@ describe('cell', () => {
     expect(cell.toString()).toStrictEqual('\u001b[11;21f\u001b[48;2;0;100;200m\u001b[38;2;200;100;0m\u001b[1m\u001b[2m\u001b[4m\u001b[5m\u001b[7m\u001b[8m \u001b[0m');
   });
 
+  it('should properly convert Cell into ASCII sequence with reduced color depth', () => {
+    expect.hasAssertions();
+
+    const cell = new Cell('s', {
+      background: { r: 255, g: 0, b: 0 },
+      display: { bold: true },
+      foreground: { r: 0, g: 0, b: 0 },
+    });
+
+    expect(cell.toString(COLOR_DEPTHS.TRUECOLOR)).toStrictEqual(
+      '\u001b[1;1f\u001b[48;2;255;0;0m\u001b[38;2;0;0;0m\u001b[1ms\u001b[0m',
+    );
+    expect(cell.toString(COLOR_DEPTHS.ANSI_256)).toStrictEqual(
+      '\u001b[1;1f\u001b[48;5;196m\u001b[38;5;16m\u001b[1ms\u001b[0m',
+    );
+    expect(cell.toString(COLOR_DEPTHS.ANSI_16)).toStrictEqual('\u001b[1;1f\u001b[101m\u001b[30m\u001b[1ms\u001b[0m');
+    expect(cell.toString(COLOR_DEPTHS.NONE)).toStrictEqual('\u001b[1;1f\u001b[1ms\u001b[0m');
+  });
+
   it('should properly create Cell instance from static create()', () => {
     expect.hasAssertions();
 
@@ -1,3 +1,4 @@
+import { COLOR_DEPTHS } from '../src/color/ColorDepths';
 import { Color } from '../src/color/Color';
 
 describe('color', () => {
@@ -102,6 +103,54 @@ describe('color', () => {
     expect(color.toHex()).toStrictEqual('#102030');
   });
 
+  it('should properly quantize color to xterm 256 colors palette', () => {
+    expect.hasAssertions();
+    expect(Color.create('#000000').toAnsi256()).toStrictEqual(16);
+    expect(Color.create('#FFFFFF').toAnsi256()).toStrictEqual(231);
+    expect(Color.create('#FF0000').toAnsi256()).toStrictEqual(196);
+    expect(Color.create('#5F87AF').toAnsi256()).toStrictEqual(67);
+    expect(Color.create('#60A0DC').toAnsi256()).toStrictEqual(74);
+    expect(Color.create('#080808').toAnsi256()).toStrictEqual(232);
+    expect(Color.create('#808080').toAnsi256()).toStrictEqual(244);
+    expect(Color.create('#EEEEEE').toAnsi256()).toStrictEqual(255);
+  });
+
+  it('should properly get color from xterm 256 colors palette', () => {
+    expect.hasAssertions();
+    expect(Color.fromAnsi256(9).toHex()).toStrictEqual('#ff0000');
+    expect(Color.fromAnsi256(16).toHex()).toStrictEqual('#000000');
+    expect(Color.fromAnsi256(67).toHex()).toStrictEqual('#5f87af');
+    expect(Color.fromAnsi256(231).toHex()).toStrictEqual('#ffffff');
+    expect(Color.fromAnsi256(232).toHex()).toStrictEqual('#080808');
+    expect(Color.fromAnsi256(255).toHex()).toStrictEqual('#eeeeee');
+  });
+
+  it('should properly quantize color to 16 ANSI colors', () => {
+    expect.hasAssertions();
+    expect(Color.create('#000000').toAnsi16()).toStrictEqual(0);
+    expect(Color.create('#C00000').toAnsi16()).toStrictEqual(1);
+    expect(Color.create('#FF0000').toAnsi16()).toStrictEqual(9);
+    expect(Color.create('#808080').toAnsi16()).toStrictEqual(8);
+    expect(Color.create('#0000F0').toAnsi16()).toStrictEqual(4);
+    expect(Color.create('#FFFFFF').toAnsi16()).toStrictEqual(15);
+  });
+
+  it('should properly return SGR attribute for the color depth', () => {
+    expect.hasAssertions();
+
+    const color = Color.create('#FF0000');
+
+    expect(color.toSgr(COLOR_DEPTHS.TRUECOLOR)).toStrictEqual('38;2;255;0;0');
+    expect(color.toSgr(COLOR_DEPTHS.TRUECOLOR, true)).toStrictEqual('48;2;255;0;0');
+    expect(color.toSgr(COLOR_DEPTHS.ANSI_256)).toStrictEqual('38;5;196');
+    expect(color.toSgr(COLOR_DEPTHS.ANSI_256, true)).toStrictEqual('48;5;196');
+    expect(color.toSgr(COLOR_DEPTHS.ANSI_16)).toStrictEqual('91');
+    expect(color.toSgr(COLOR_DEPTHS.ANSI_16, true)).toStrictEqual('101');
+    expect(Color.create('#C00000').toSgr(COLOR_DEPTHS.ANSI_16)).toStrictEqual('31');
+    expect(Color.create('#C00000').toSgr(COLOR_DEPTHS.ANSI_16, true)).toStrictEqual('41');
+    expect(color.toSgr(COLOR_DEPTHS.NONE)).toStrictEqual('');
+  });
+
   it('should properly check if color is named', () => {
     expect.hasAssertions();
     expect(Color.isNamed('black')).toBe(true);
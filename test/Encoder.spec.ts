@@ -0,0 +1,190 @@
+import { COLOR_DEPTHS } from '../src/color/ColorDepths';
+import { Cell } from '../src/cell/Cell';
+import { Encoder } from '../src/encoder/Encoder';
+
+describe('encoder', () => {
+  it('should properly create encoder with unknown cursor and default graphics state', () => {
+    expect.hasAssertions();
+
+    const encoder = new Encoder();
+
+    expect(encoder.colorDepth).toStrictEqual(COLOR_DEPTHS.TRUECOLOR);
+    expect(encoder.cursorX).toStrictEqual(-1);
+    expect(encoder.cursorY).toStrictEqual(-1);
+    expect(encoder.background).toStrictEqual({ r: -1, g: -1, b: -1 });
+    expect(encoder.foreground).toStrictEqual({ r: -1, g: -1, b: -1 });
+    expect(encoder.display).toStrictEqual({
+      blink: false,
+      bold: false,
+      dim: false,
+      hidden: false,
+      reverse: false,
+      underlined: false,
+    });
+  });
+
+  it('should properly skip the cursor move for adjacent cells', () => {
+    expect.hasAssertions();
+
+    const encoder = new Encoder();
+
+    expect(encoder.encode(Cell.create('a', { x: 5, y: 2 }))).toStrictEqual('\u001b[3;6fa');
+    expect(encoder.encode(Cell.create('b', { x: 6, y: 2 }))).toStrictEqual('b');
+    expect(encoder.cursorX).toStrictEqual(7);
+    expect(encoder.cursorY).toStrictEqual(2);
+  });
+
+  it('should properly forget the column after the wide chars and grapheme clusters', () => {
+    expect.hasAssertions();
+
+    const encoder = new Encoder();
+
+    expect(encoder.encode(Cell.create('字', { x: 0, y: 0 }))).toStrictEqual('\u001b[1;1f字');
+    expect(encoder.cursorX).toStrictEqual(-1);
+    expect(encoder.encode(Cell.create('a', { x: 2, y: 0 }))).toStrictEqual('\u001b[3Ga');
+    expect(encoder.encode(Cell.create('e\u0301', { x: 3, y: 0 }))).toStrictEqual('e\u0301');
+    expect(encoder.encode(Cell.create('❤️', { x: 4, y: 0 }))).toStrictEqual('\u001b[5G❤️');
+    expect(encoder.encode(Cell.create('b', { x: 0, y: 1 }))).toStrictEqual('\u001b[Eb');
+    expect(encoder.cursorX).toStrictEqual(1);
+  });
+
+  it('should properly encode the cell at another position', () => {
+    expect.hasAssertions();
+
+    const encoder = new Encoder();
+
+    expect(encoder.encode(Cell.create('a', { x: 0, y: 0 }), 3, 1)).toStrictEqual('\u001b[2;4fa');
+    expect(encoder.encode(Cell.create('b', { x: 1, y: 0 }), 4, 1)).toStrictEqual('b');
+    expect(encoder.cursorX).toStrictEqual(5);
+    expect(encoder.cursorY).toStrictEqual(1);
+  });
+
+  it('should properly move the cursor within the same row', () => {
+    expect.hasAssertions();
+
+    const encoder = new Encoder();
+    encoder.encode(Cell.create('a', { x: 0, y: 0 }));
+
+    expect(encoder.moveTo(2, 0)).toStrictEqual('\u001b[C');
+    expect(encoder.moveTo(7, 0)).toStrictEqual('\u001b[8G');
+    expect(encoder.moveTo(15, 0)).toStrictEqual('\u001b[8C');
+    expect(encoder.moveTo(120, 0)).toStrictEqual('\u001b[121G');
+    expect(encoder.moveTo(3, 0)).toStrictEqual('\u001b[4G');
+    expect(encoder.moveTo(3, 0)).toStrictEqual('');
+  });
+
+  it('should properly move the cursor between rows', () => {
+    expect.hasAssertions();
+
+    const encoder = new Encoder();
+    encoder.encode(Cell.create('a', { x: 4, y: 4 }));
+
+    expect(encoder.moveTo(0, 5)).toStrictEqual('\u001b[E');
+    expect(encoder.moveTo(0, 8)).toStrictEqual('\u001b[3E');
+    expect(encoder.moveTo(0, 7)).toStrictEqual('\u001b[F');
+    expect(encoder.moveTo(2, 8)).toStrictEqual('\u001b[9;3f');
+    expect(encoder.moveTo(0, 0)).toStrictEqual('\u001b[8F');
+    expect(encoder.moveTo(5, 0)).toStrictEqual('\u001b[6G');
+    expect(encoder.moveTo(5, 1)).toStrictEqual('\u001b[2;6f');
+  });
+
+  it('should properly emit only changed colors', () => {
+    expect.hasAssertions();
+
+    const encoder = new Encoder();
+
+    expect(encoder.style({
+      ...Cell.create(' '),
+      background: { r: 1, g: 2, b: 3 },
+    })).toStrictEqual('\u001b[48;2;1;2;3m');
+    expect(encoder.style({
+      ...Cell.create(' '),
+      background: { r: 1, g: 2, b: 3 },
+      foreground: { r: 4, g: 5, b: 6 },
+    })).toStrictEqual('\u001b[38;2;4;5;6m');
+    expect(encoder.style({
+      ...Cell.create(' '),
+      background: { r: 1, g: 2, b: 3 },
+      foreground: { r: 4, g: 5, b: 6 },
+    })).toStrictEqual('');
+    expect(encoder.style({ ...Cell.create(' '), foreground: { r: 4, g: 5, b: 6 } })).toStrictEqual('\u001b[49m');
+  });
+
+  it('should properly emit colors quantized to the color depth', () => {
+    expect.hasAssertions();
+
+    const encoder = new Encoder(COLOR_DEPTHS.ANSI_256);
+    const red = Cell.create(' ', { foreground: { r: 255, g: 0, b: 0 } });
+    const almostRed = Cell.create(' ', { foreground: { r: 250, g: 5, b: 5 } });
+
+    expect(encoder.style(red)).toStrictEqual('\u001b[38;5;196m');
+    expect(encoder.style(almostRed)).toStrictEqual('');
+    expect(encoder.style(Cell.create(' ', { background: { r: 0, g: 0, b: 0 } }))).toStrictEqual('\u001b[0;48;5;16m');
+  });
+
+  it('should properly skip colors if they are disabled', () => {
+    expect.hasAssertions();
+
+    const encoder = new Encoder(COLOR_DEPTHS.NONE);
+    const styled = Cell.create(' ', { background: { r: 255, g: 0, b: 0 }, display: { bold: true } });
+
+    expect(encoder.style(styled)).toStrictEqual('\u001b[1m');
+    expect(encoder.style(Cell.create(' ', { foreground: { r: 255, g: 0, b: 0 } }))).toStrictEqual('\u001b[0m');
+    expect(encoder.style(Cell.create(' '))).toStrictEqual('');
+  });
+
+  it('should properly emit only changed display modes', () => {
+    expect.hasAssertions();
+
+    const encoder = new Encoder();
+    const bold = Cell.create(' ', { display: { bold: true, underlined: true } });
+    const dim = Cell.create(' ', { display: { dim: true, underlined: true } });
+    const modes = Cell.create(' ', { display: { blink: true, hidden: true, reverse: true, underlined: true } });
+
+    expect(encoder.style(bold)).toStrictEqual('\u001b[1;4m');
+    expect(encoder.style(dim)).toStrictEqual('\u001b[22;2m');
+    expect(encoder.style(modes)).toStrictEqual('\u001b[22;5;7;8m');
+    expect(encoder.style(Cell.create(' ', { display: { dim: true } }))).toStrictEqual('\u001b[0;2m');
+    expect(encoder.style(Cell.create(' ', { display: { bold: true, dim: true } }))).toStrictEqual('\u001b[1m');
+    expect(encoder.style(Cell.create(' ', { display: { bold: true } }))).toStrictEqual('\u001b[0;1m');
+  });
+
+  it('should properly reset the graphics state if it is shorter than the difference', () => {
+    expect.hasAssertions();
+
+    const encoder = new Encoder();
+    const styled = Cell.create(' ', {
+      background: { r: 1, g: 2, b: 3 },
+      display: { blink: true, bold: true, underlined: true },
+      foreground: { r: 4, g: 5, b: 6 },
+    });
+
+    expect(encoder.style(styled)).toStrictEqual('\u001b[48;2;1;2;3;38;2;4;5;6;1;4;5m');
+    expect(encoder.style(Cell.create(' '))).toStrictEqual('\u001b[0m');
+  });
+
+  it('should properly reset the graphics state and forget the cursor', () => {
+    expect.hasAssertions();
+
+    const encoder = new Encoder();
+
+    expect(encoder.reset()).toStrictEqual('');
+    expect(encoder.encode(Cell.create('a', { display: { bold: true }, x: 1, y: 1 })))
+      .toStrictEqual('\u001b[2;2f\u001b[1ma');
+    expect(encoder.reset()).toStrictEqual('\u001b[0m');
+    expect(encoder.cursorX).toStrictEqual(-1);
+    expect(encoder.cursorY).toStrictEqual(-1);
+    expect(encoder.encode(Cell.create('b', { x: 2, y: 1 }))).toStrictEqual('\u001b[2;3fb');
+  });
+
+  it('should properly create Encoder instance from static create()', () => {
+    expect.hasAssertions();
+
+    const encoder = Encoder.create(COLOR_DEPTHS.ANSI_16);
+
+    expect(encoder).toBeInstanceOf(Encoder);
+    expect(encoder.colorDepth).toStrictEqual(COLOR_DEPTHS.ANSI_16);
+    expect(encoder.cursorX).toStrictEqual(-1);
+    expect(encoder.cursorY).toStrictEqual(-1);
+  });
+});
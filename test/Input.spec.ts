@@ -0,0 +1,161 @@
+import { Input } from '../src/input/Input';
+import { InputParser } from '../src/input/InputParser';
+import { PassThrough } from 'stream';
+
+function createTTYStreams (): { output: PassThrough, stream: PassThrough & { isRaw: boolean, setRawMode: jest.Mock } } {
+  const stream = Object.assign(new PassThrough(), { isRaw: false, isTTY: true, setRawMode: jest.fn() });
+  const output = new PassThrough();
+
+  return { output, stream };
+}
+
+describe('input', () => {
+  it('should properly initialize with default arguments', () => {
+    expect.hasAssertions();
+
+    const input = new Input();
+
+    expect(input.stream).toBe(process.stdin);
+    expect(input.output).toBe(process.stdout);
+    expect(input.mouse).toBe(true);
+    expect(input.paste).toBe(true);
+    expect(input.isEnabled).toBe(false);
+    expect(input.parser).toBeInstanceOf(InputParser);
+  });
+
+  it('should properly initialize with custom arguments', () => {
+    expect.hasAssertions();
+
+    const { output, stream } = createTTYStreams();
+    const input = new Input({ mouse: false, output, paste: false, stream });
+
+    expect(input.stream).toBe(stream);
+    expect(input.output).toBe(output);
+    expect(input.mouse).toBe(false);
+    expect(input.paste).toBe(false);
+  });
+
+  it('should properly enable raw mode, mouse tracking and bracketed paste', () => {
+    expect.hasAssertions();
+
+    const { output, stream } = createTTYStreams();
+    const spy = jest.spyOn(process, 'on');
+    const write = jest.spyOn(output, 'write');
+    const input = Input.create({ output, stream });
+
+    expect(input.enable().enable()).toBe(input);
+    expect(input.isEnabled).toBe(true);
+    expect(stream.setRawMode).toHaveBeenCalledTimes(1);
+    expect(stream.setRawMode).toHaveBeenCalledWith(true);
+    expect(write).toHaveBeenCalledTimes(1);
+    expect(write).toHaveBeenCalledWith('\u001b[?1000h\u001b[?1002h\u001b[?1006h\u001b[?2004h');
+    expect(spy).toHaveBeenCalledWith('exit', expect.any(Function));
+
+    input.disable();
+    spy.mockRestore();
+  });
+
+  it('should properly emit the typed events from the input stream', () => {
+    expect.hasAssertions();
+
+    const { output, stream } = createTTYStreams();
+    const input = Input.create({ output, stream }).enable();
+    const onKey = jest.fn();
+    const onMouse = jest.fn();
+    const onPaste = jest.fn();
+
+    input.on('key', onKey).on('mouse', onMouse)
+      .on('paste', onPaste);
+    stream.emit('data', Buffer.from('q\u001b[<0;5;3M\u001b[200~text\u001b[201~'));
+
+    expect(onKey).toHaveBeenCalledWith(expect.objectContaining({ name: 'q', type: 'key' }));
+    expect(onMouse).toHaveBeenCalledWith(expect.objectContaining({ action: 'press', type: 'mouse', x: 4, y: 2 }));
+    expect(onPaste).toHaveBeenCalledWith({ text: 'text', type: 'paste' });
+
+    input.disable();
+  });
+
+  it('should properly emit the escape key if the rest of the sequence does not follow', () => {
+    expect.hasAssertions();
+    jest.useFakeTimers();
+
+    const { output, stream } = createTTYStreams();
+    const input = Input.create({ output, stream }).enable();
+    const onKey = jest.fn();
+
+    input.on('key', onKey);
+    stream.emit('data', '\u001b');
+    stream.emit('data', '[A\u001b');
+    jest.runAllTimers();
+    stream.emit('data', '\u001b');
+    input.disable();
+    jest.runAllTimers();
+
+    expect(onKey).toHaveBeenCalledTimes(2);
+    expect(onKey).toHaveBeenNthCalledWith(1, expect.objectContaining({ name: 'up' }));
+    expect(onKey).toHaveBeenNthCalledWith(2, expect.objectContaining({ name: 'escape' }));
+
+    jest.useRealTimers();
+  });
+
+  it('should properly restore the terminal when disabled', () => {
+    expect.hasAssertions();
+
+    const { output, stream } = createTTYStreams();
+    const write = jest.spyOn(output, 'write');
+    const input = Input.create({ mouse: false, output, stream });
+    const onKey = jest.fn();
+
+    stream.isRaw = true;
+    input.on('key', onKey).disable();
+    input.enable().disable()
+      .disable();
+    stream.emit('data', 'q');
+
+    expect(input.isEnabled).toBe(false);
+    expect(stream.setRawMode).toHaveBeenCalledTimes(2);
+    expect(stream.setRawMode).toHaveBeenLastCalledWith(true);
+    expect(stream.isPaused()).toBe(true);
+    expect(write).toHaveBeenCalledTimes(2);
+    expect(write).toHaveBeenLastCalledWith('\u001b[?2004l');
+    expect(onKey).not.toHaveBeenCalled();
+  });
+
+  it('should properly restore the terminal on exit', () => {
+    expect.hasAssertions();
+
+    const { output, stream } = createTTYStreams();
+    const spy = jest.spyOn(process, 'on');
+    const write = jest.spyOn(output, 'write');
+    const input = Input.create({ output, paste: false, stream }).enable();
+    const [[, onExit]] = spy.mock.calls.filter(([event]) => event === 'exit') as Array<[string, () => void]>;
+
+    onExit();
+
+    expect(input.isEnabled).toBe(false);
+    expect(stream.setRawMode).toHaveBeenLastCalledWith(false);
+    expect(write).toHaveBeenLastCalledWith('\u001b[?1000l\u001b[?1002l\u001b[?1006l');
+    expect(process.listeners('exit')).not.toContain(onExit);
+
+    spy.mockRestore();
+  });
+
+  it('should properly skip raw mode if the stream is not a TTY', () => {
+    expect.hasAssertions();
+
+    const output = new PassThrough();
+    const stream = new PassThrough();
+    const input = Input.create({ output, stream });
+
+    expect(input.enable().disable()).toBe(input);
+  });
+
+  it('should properly create new instance from static create()', () => {
+    expect.hasAssertions();
+
+    const input = Input.create();
+
+    expect(input).toBeInstanceOf(Input);
+    expect(input.stream).toBe(process.stdin);
+  });
+});
@@ -0,0 +1,193 @@
+import { InputParser } from '../src/input/InputParser';
+
+describe('input parser', () => {
+  const key = (name: string, sequence: string, modifiers?: Record<string, boolean>): Record<string, unknown> => ({
+    alt: modifiers?.alt ?? false,
+    ctrl: modifiers?.ctrl ?? false,
+    name,
+    sequence,
+    shift: modifiers?.shift ?? false,
+    type: 'key',
+  });
+
+  it('should properly parse the printable chars', () => {
+    expect.hasAssertions();
+
+    const parser = InputParser.create();
+
+    expect(parser.parse(Buffer.from('aZ 1界'))).toStrictEqual([
+      key('a', 'a'),
+      key('z', 'Z', { shift: true }),
+      key('space', ' '),
+      key('1', '1'),
+      key('界', '界'),
+    ]);
+  });
+
+  it('should properly parse the control chars', () => {
+    expect.hasAssertions();
+
+    const parser = InputParser.create();
+
+    expect(parser.parse('\r\n\t\u007f\b\u0000\u0001\u0003\u001a\u001c')).toStrictEqual([
+      key('enter', '\r'),
+      key('enter', '\n'),
+      key('tab', '\t'),
+      key('backspace', '\u007f'),
+      key('backspace', '\b'),
+      key('space', '\u0000', { ctrl: true }),
+      key('a', '\u0001', { ctrl: true }),
+      key('c', '\u0003', { ctrl: true }),
+      key('z', '\u001a', { ctrl: true }),
+      key('|', '\u001c', { ctrl: true }),
+    ]);
+  });
+
+  it('should properly parse the escape and alt modifier', () => {
+    expect.hasAssertions();
+
+    const parser = InputParser.create();
+
+    expect(parser.parse('\u001bx\u001bX\u001b\r')).toStrictEqual([
+      key('x', '\u001bx', { alt: true }),
+      key('x', '\u001bX', { alt: true, shift: true }),
+      key('enter', '\u001b\r', { alt: true }),
+    ]);
+    expect(parser.parse('\u001b')).toStrictEqual([]);
+    expect(parser.flush()).toStrictEqual([key('escape', '\u001b')]);
+    expect(parser.flush()).toStrictEqual([]);
+    expect(parser.parse('\u001b\u001b')).toStrictEqual([key('escape', '\u001b\u001b', { alt: true })]);
+  });
+
+  it('should properly flush the incomplete sequences as alt modified keys', () => {
+    expect.hasAssertions();
+
+    const parser = InputParser.create();
+
+    expect(parser.parse('\u001b[')).toStrictEqual([]);
+    expect(parser.flush()).toStrictEqual([key('[', '\u001b[', { alt: true })]);
+    expect(parser.parse('a')).toStrictEqual([key('a', 'a')]);
+
+    expect(parser.parse('\u001bO')).toStrictEqual([]);
+    expect(parser.flush()).toStrictEqual([key('o', '\u001bO', { alt: true, shift: true })]);
+
+    expect(parser.parse('\u001b[1;')).toStrictEqual([]);
+    expect(parser.flush()).toStrictEqual([key('[', '\u001b[', { alt: true }), key('1', '1'), key(';', ';')]);
+
+    expect(parser.parse('\u001b[200~text')).toStrictEqual([]);
+    expect(parser.flush()).toStrictEqual([]);
+    expect(parser.parse('\u001b[201~')).toStrictEqual([{ text: 'text', type: 'paste' }]);
+  });
+
+  it('should properly parse the arrows, navigation and function keys', () => {
+    expect.hasAssertions();
+
+    const parser = InputParser.create();
+
+    expect(parser.parse('\u001b[A\u001b[B\u001b[C\u001b[D\u001b[H\u001b[F\u001bOP\u001bOS\u001b[Z')).toStrictEqual([
+      key('up', '\u001b[A'),
+      key('down', '\u001b[B'),
+      key('right', '\u001b[C'),
+      key('left', '\u001b[D'),
+      key('home', '\u001b[H'),
+      key('end', '\u001b[F'),
+      key('f1', '\u001bOP'),
+      key('f4', '\u001bOS'),
+      key('tab', '\u001b[Z', { shift: true }),
+    ]);
+    expect(parser.parse('\u001b[2~\u001b[3~\u001b[5~\u001b[6~\u001b[15~\u001b[24~')).toStrictEqual([
+      key('insert', '\u001b[2~'),
+      key('delete', '\u001b[3~'),
+      key('pageup', '\u001b[5~'),
+      key('pagedown', '\u001b[6~'),
+      key('f5', '\u001b[15~'),
+      key('f12', '\u001b[24~'),
+    ]);
+  });
+
+  it('should properly parse the modifiers of the keys', () => {
+    expect.hasAssertions();
+
+    const parser = InputParser.create();
+
+    expect(parser.parse('\u001b[1;2A\u001b[1;3D\u001b[1;5C\u001b[3;8~\u001b[1;5P')).toStrictEqual([
+      key('up', '\u001b[1;2A', { shift: true }),
+      key('left', '\u001b[1;3D', { alt: true }),
+      key('right', '\u001b[1;5C', { ctrl: true }),
+      key('delete', '\u001b[3;8~', { alt: true, ctrl: true, shift: true }),
+      key('f1', '\u001b[1;5P', { ctrl: true }),
+    ]);
+  });
+
+  it('should properly skip the unknown sequences', () => {
+    expect.hasAssertions();
+
+    const parser = InputParser.create();
+
+    expect(parser.parse('\u001b[99~\u001b[1;5X\u001bOzq')).toStrictEqual([key('q', 'q')]);
+  });
+
+  it('should properly parse the mouse reports', () => {
+    expect.hasAssertions();
+
+    const parser = InputParser.create();
+    const mouse = (action: string, button: string, x: number, y: number): Record<string, unknown> => ({
+      action,
+      alt: false,
+      button,
+      ctrl: false,
+      shift: false,
+      type: 'mouse',
+      x,
+      y,
+    });
+
+    expect(parser.parse('\u001b[<0;1;1M\u001b[<32;2;1M\u001b[<0;3;1m\u001b[<2;10;5M\u001b[<1;4;2m')).toStrictEqual([
+      mouse('press', 'left', 0, 0),
+      mouse('drag', 'left', 1, 0),
+      mouse('release', 'left', 2, 0),
+      mouse('press', 'right', 9, 4),
+      mouse('release', 'middle', 3, 1),
+    ]);
+    expect(parser.parse('\u001b[<35;7;8M\u001b[<64;1;1M\u001b[<65;1;1M\u001b[<66;1;1M\u001b[<67;1;1M')).toStrictEqual([
+      mouse('move', 'none', 6, 7),
+      mouse('wheel', 'wheel-up', 0, 0),
+      mouse('wheel', 'wheel-down', 0, 0),
+      mouse('wheel', 'wheel-left', 0, 0),
+      mouse('wheel', 'wheel-right', 0, 0),
+    ]);
+    expect(parser.parse('\u001b[<28;5;5M')).toStrictEqual([
+      { action: 'press', alt: true, button: 'left', ctrl: true, shift: true, type: 'mouse', x: 4, y: 4 },
+    ]);
+  });
+
+  it('should properly parse the bracketed paste', () => {
+    expect.hasAssertions();
+
+    const parser = InputParser.create();
+
+    expect(parser.parse('a\u001b[200~hello\r\u001b[Aworld\u001b[201~b')).toStrictEqual([
+      key('a', 'a'),
+      { text: 'hello\r\u001b[Aworld', type: 'paste' },
+      key('b', 'b'),
+    ]);
+  });
+
+  it('should properly keep the incomplete sequences until the next data', () => {
+    expect.hasAssertions();
+
+    const parser = InputParser.create();
+    const bytes = Buffer.from('界\u001b[1;5A\u001b[<0;10;20M\u001bOP\u001b[200~text\u001b[201~');
+    const events = [];
+
+    for (const byte of bytes) events.push(...parser.parse(Buffer.from([byte])));
+
+    expect(events).toStrictEqual([
+      key('界', '界'),
+      key('up', '\u001b[1;5A', { ctrl: true }),
+      { action: 'press', alt: false, button: 'left', ctrl: false, shift: false, type: 'mouse', x: 9, y: 19 },
+      key('f1', '\u001bOP'),
+      { text: 'text', type: 'paste' },
+    ]);
+  });
+});
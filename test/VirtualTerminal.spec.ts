@@ -0,0 +1,294 @@
+import { Cell } from '../src/cell/Cell';
+import { VirtualTerminal } from '../src/terminal/VirtualTerminal';
+import { getTextFromCells } from '../src/cell/getTextFromCells';
+
+describe('virtual terminal', () => {
+  it('should properly initialize with default arguments', () => {
+    expect.hasAssertions();
+
+    const terminal = new VirtualTerminal();
+
+    expect(terminal.isTTY).toBe(true);
+    expect(terminal.columns).toStrictEqual(80);
+    expect(terminal.rows).toStrictEqual(24);
+    expect(terminal.cells).toHaveLength(80 * 24);
+    expect(terminal.cursorX).toStrictEqual(0);
+    expect(terminal.cursorY).toStrictEqual(0);
+    expect(terminal.isCursorVisible).toBe(true);
+    expect(terminal.isAlternateScreen).toBe(false);
+    expect(terminal.background).toStrictEqual({ r: -1, g: -1, b: -1 });
+    expect(terminal.foreground).toStrictEqual({ r: -1, g: -1, b: -1 });
+    expect(terminal.toText()).toStrictEqual('\n'.repeat(23));
+  });
+
+  it('should properly initialize with custom arguments', () => {
+    expect.hasAssertions();
+
+    const terminal = new VirtualTerminal({ columns: 10.5, rows: 2 });
+
+    expect(terminal.columns).toStrictEqual(10);
+    expect(terminal.rows).toStrictEqual(2);
+    expect(terminal.cells).toHaveLength(20);
+    expect(terminal.getCell(9, 1)).toStrictEqual(Cell.create(' ', { x: 9, y: 1 }));
+  });
+
+  it('should properly print the text and control chars', () => {
+    expect.hasAssertions();
+
+    const terminal = new VirtualTerminal({ columns: 5, rows: 3 });
+    terminal.write('abc\bd\r\nxy\u0007z');
+
+    expect(terminal.toText()).toStrictEqual('abd\nxyz\n');
+    expect(terminal.cursorX).toStrictEqual(3);
+    expect(terminal.cursorY).toStrictEqual(1);
+  });
+
+  it('should properly wrap the text and scroll the screen', () => {
+    expect.hasAssertions();
+
+    const terminal = new VirtualTerminal({ columns: 3, rows: 2 });
+
+    terminal.write('abcde');
+    expect(terminal.toText()).toStrictEqual('abc\nde');
+
+    terminal.write('fgh');
+    expect(terminal.toText()).toStrictEqual('def\ngh');
+    expect(terminal.cells.map((cell) => cell.y)).toStrictEqual([0, 0, 0, 1, 1, 1]);
+    expect(terminal.cursorX).toStrictEqual(2);
+    expect(terminal.cursorY).toStrictEqual(1);
+  });
+
+  it('should properly print wide chars into two cells', () => {
+    expect.hasAssertions();
+
+    const terminal = new VirtualTerminal({ columns: 5, rows: 2 });
+
+    terminal.write('a字字');
+    expect(terminal.cells.slice(0, 5).map((cell) => cell.char)).toStrictEqual(['a', '字', '', '字', '']);
+    expect(terminal.getCell(2, 0)?.isContinuation).toBe(true);
+    expect(terminal.cursorX).toStrictEqual(5);
+
+    terminal.write('\u001b[1;3fb\u001b[1;4fc');
+    expect(terminal.toText()).toStrictEqual('a bc\n');
+    expect(terminal.cells.some((cell) => cell.isContinuation)).toBe(false);
+
+    terminal.write('\u001b[1;5f字');
+    expect(terminal.toText()).toStrictEqual('a bc\n字');
+  });
+
+  it('should properly move the cursor', () => {
+    expect.hasAssertions();
+
+    const terminal = new VirtualTerminal({ columns: 10, rows: 10 });
+    const moveTo = (seq: string): [number, number] => {
+      terminal.write(seq);
+      return [terminal.cursorX, terminal.cursorY];
+    };
+
+    expect(moveTo('\u001b[5;3f')).toStrictEqual([2, 4]);
+    expect(moveTo('\u001b[2A')).toStrictEqual([2, 2]);
+    expect(moveTo('\u001b[B')).toStrictEqual([2, 3]);
+    expect(moveTo('\u001b[3C')).toStrictEqual([5, 3]);
+    expect(moveTo('\u001b[0D')).toStrictEqual([4, 3]);
+    expect(moveTo('\u001b[2E')).toStrictEqual([0, 5]);
+    expect(moveTo('\u001b[F')).toStrictEqual([0, 4]);
+    expect(moveTo('\u001b[7G')).toStrictEqual([6, 4]);
+    expect(moveTo('\u001b[2d')).toStrictEqual([6, 1]);
+    expect(moveTo('\u001b[H')).toStrictEqual([0, 0]);
+    expect(moveTo('\u001b[99;99H')).toStrictEqual([9, 9]);
+    expect(moveTo('\u001b[99A\u001b[99D')).toStrictEqual([0, 0]);
+    expect(moveTo('\u001b[1;9f\u001b[1;1;1z a')).toStrictEqual([10, 0]);
+    expect(moveTo('\u001b[D')).toStrictEqual([8, 0]);
+  });
+
+  it('should properly apply display modes', () => {
+    expect.hasAssertions();
+
+    const terminal = new VirtualTerminal({ columns: 10, rows: 1 });
+    terminal.write('\u001b[1;4;5;7;8ma\u001b[22;2;24;25mb\u001b[27;28;21mc\u001b[0md\u001b[1;2;22me');
+
+    expect(terminal.cells.slice(0, 5).map((cell) => cell.display)).toStrictEqual([
+      { blink: true, bold: true, dim: false, hidden: true, reverse: true, underlined: true },
+      { blink: false, bold: false, dim: true, hidden: true, reverse: true, underlined: false },
+      { blink: false, bold: false, dim: true, hidden: false, reverse: false, underlined: false },
+      { blink: false, bold: false, dim: false, hidden: false, reverse: false, underlined: false },
+      { blink: false, bold: false, dim: false, hidden: false, reverse: false, underlined: false },
+    ]);
+  });
+
+  it('should properly apply colors', () => {
+    expect.hasAssertions();
+
+    const terminal = new VirtualTerminal({ columns: 10, rows: 1 });
+    terminal.write('\u001b[31;42ma\u001b[91;102mb\u001b[38;5;196;48;5;232mc\u001b[38;2;1;2;3;48;2;4;5;6md');
+    terminal.write('\u001b[39me\u001b[49mf\u001b[31m\u001b[mg\u001b[32;38;7;59;99mh');
+
+    expect(terminal.cells.slice(0, 8).map((cell) => [cell.foreground, cell.background])).toStrictEqual([
+      [{ r: 205, g: 0, b: 0 }, { r: 0, g: 205, b: 0 }],
+      [{ r: 255, g: 0, b: 0 }, { r: 0, g: 255, b: 0 }],
+      [{ r: 255, g: 0, b: 0 }, { r: 8, g: 8, b: 8 }],
+      [{ r: 1, g: 2, b: 3 }, { r: 4, g: 5, b: 6 }],
+      [{ r: -1, g: -1, b: -1 }, { r: 4, g: 5, b: 6 }],
+      [{ r: -1, g: -1, b: -1 }, { r: -1, g: -1, b: -1 }],
+      [{ r: -1, g: -1, b: -1 }, { r: -1, g: -1, b: -1 }],
+      [{ r: 0, g: 205, b: 0 }, { r: -1, g: -1, b: -1 }],
+    ]);
+  });
+
+  it('should properly toggle the cursor visibility', () => {
+    expect.hasAssertions();
+
+    const terminal = new VirtualTerminal({ columns: 10, rows: 1 });
+
+    terminal.write('\u001b[?25l');
+    expect(terminal.isCursorVisible).toBe(false);
+
+    terminal.write('\u001b[?25x\u001b[?12h');
+    expect(terminal.isCursorVisible).toBe(false);
+
+    terminal.write('\u001b[?25h');
+    expect(terminal.isCursorVisible).toBe(true);
+  });
+
+  it('should properly switch between the main and alternate screens', () => {
+    expect.hasAssertions();
+
+    const terminal = new VirtualTerminal({ columns: 10, rows: 1 });
+    terminal.write('main');
+
+    terminal.write('\u001b[?47h\u001b[1;1falt\u001b[?47h');
+    expect(terminal.isAlternateScreen).toBe(true);
+    expect(terminal.toText()).toStrictEqual('alt');
+
+    terminal.write('\u001b[?47l\u001b[?47l');
+    expect(terminal.isAlternateScreen).toBe(false);
+    expect(terminal.toText()).toStrictEqual('main');
+  });
+
+  it('should properly save the cursor while the alternate screen 1049 is active', () => {
+    expect.hasAssertions();
+
+    const terminal = new VirtualTerminal({ columns: 10, rows: 2 });
+    terminal.write('\u001b[1mmain');
+
+    terminal.write('\u001b[?1049h\u001b[?2026h\u001b[0m\u001b[2;1falt\u001b[?2026l');
+    expect(terminal.isAlternateScreen).toBe(true);
+    expect(terminal.toText()).toStrictEqual('\nalt');
+
+    terminal.write('\u001b[?1049l\u001b[?1049l!');
+    expect(terminal.isAlternateScreen).toBe(false);
+    expect(terminal.toText()).toStrictEqual('main!\n');
+    expect(terminal.getCell(4, 0)?.display.bold).toBe(true);
+
+    terminal.write('\u001b[?47h\u001b[?1049l');
+    expect(terminal.isAlternateScreen).toBe(false);
+    expect(terminal.cursorX).toStrictEqual(5);
+  });
+
+  it('should properly reset the terminal', () => {
+    expect.hasAssertions();
+
+    const terminal = new VirtualTerminal({ columns: 10, rows: 2 });
+    terminal.write('\u001b[?47h\u001b[?25l\u001b[1;31mtext\u001b7\u001bc');
+
+    expect(terminal.toText()).toStrictEqual('\n');
+    expect(terminal.cursorX).toStrictEqual(0);
+    expect(terminal.cursorY).toStrictEqual(0);
+    expect(terminal.isCursorVisible).toBe(true);
+    expect(terminal.isAlternateScreen).toBe(false);
+    expect(terminal.display.bold).toBe(false);
+    expect(terminal.foreground).toStrictEqual({ r: -1, g: -1, b: -1 });
+    expect(terminal.reset()).toBeInstanceOf(VirtualTerminal);
+  });
+
+  it('should properly parse control sequences split between chunks', () => {
+    expect.hasAssertions();
+
+    const terminal = new VirtualTerminal({ columns: 10, rows: 2 });
+    terminal.write('a\u001b');
+    terminal.write('[2');
+    terminal.write(';3');
+    terminal.write(Buffer.from('fb\u001b[\u0007c'));
+
+    expect(terminal.toText()).toStrictEqual('a\n  b[c');
+  });
+
+  it('should properly get the cell at coordinates', () => {
+    expect.hasAssertions();
+
+    const terminal = new VirtualTerminal({ columns: 2, rows: 2 });
+    terminal.write('\u001b[2;2f\u001b[1mx');
+
+    expect(terminal.getCell(1, 1)?.char).toStrictEqual('x');
+    expect(terminal.getCell(1, 1)?.display.bold).toBe(true);
+    expect(terminal.getCell(-1, 0)).toBeNull();
+    expect(terminal.getCell(2, 0)).toBeNull();
+    expect(terminal.getCell(0, -1)).toBeNull();
+    expect(terminal.getCell(0, 2)).toBeNull();
+  });
+
+  it('should properly serialize the screen into the snapshot', () => {
+    expect.hasAssertions();
+
+    const terminal = new VirtualTerminal({ columns: 8, rows: 11 });
+    terminal.write('\u001b[1;31mHi\u001b[0m \u001b[44m字\u001b[11;1f\u001b[4;5;7;8;2mx\u001b[?25l');
+
+    expect(terminal.toSnapshot()).toStrictEqual([
+      'screen: main, cursor: 1,10 hidden',
+      ' 0 |Hi 字   |',
+      ...Array.from({ length: 9 }, (_, index) => `${String(index + 1).padStart(2)} |        |`),
+      '10 |x       |',
+      'styles:',
+      ' 0 0-1: fg #cd0000, bold',
+      ' 0 3-4: bg #0000ee',
+      '10 0-0: bg #0000ee, dim, underlined, blink, reverse, hidden',
+    ].join('\n'));
+
+    // Inline snapshots require prettier, which is not a dependency of the project
+    terminal.write('\u001b[?47h\u001b[?25h');
+    // eslint-disable-next-line jest/prefer-inline-snapshots
+    expect(terminal.toSnapshot()).toMatchSnapshot();
+  });
+
+  it('should properly resize the terminal and emit resize event', () => {
+    expect.hasAssertions();
+
+    const terminal = new VirtualTerminal({ columns: 4, rows: 2 });
+    const listener = jest.fn();
+    terminal.on('resize', listener);
+    terminal.write('abcd\u001b[2;4fe\u001b[?47h');
+
+    expect(terminal.resize(2.5, 3)).toBeInstanceOf(VirtualTerminal);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(terminal.columns).toStrictEqual(2);
+    expect(terminal.rows).toStrictEqual(3);
+    expect(terminal.cursorX).toStrictEqual(1);
+    expect(terminal.cursorY).toStrictEqual(1);
+    expect(terminal.toText()).toStrictEqual('\n\n');
+
+    terminal.write('\u001b[?47l');
+    expect(terminal.toText()).toStrictEqual('ab\n\n');
+    expect(terminal.getCell(1, 2)).toStrictEqual(Cell.create(' ', { x: 1, y: 2 }));
+
+    terminal.resize(4, 1);
+    expect(terminal.toText()).toStrictEqual('ab');
+  });
+
+  it('should properly get plain text from the cells', () => {
+    expect.hasAssertions();
+
+    const cells = [Cell.create('a'), Cell.create(' '), Cell.create('字'), Cell.create(''), Cell.create(' ')];
+
+    expect(getTextFromCells(cells, 2)).toStrictEqual('a\n字\n');
+  });
+
+  it('should properly create VirtualTerminal instance from static create()', () => {
+    expect.hasAssertions();
+
+    const terminal = VirtualTerminal.create({ columns: 20, rows: 5 });
+
+    expect(terminal).toBeInstanceOf(VirtualTerminal);
+    expect(terminal.columns).toStrictEqual(20);
+    expect(terminal.rows).toStrictEqual(5);
+  });
+});
@@ -0,0 +1,82 @@
+import { COLOR_DEPTHS } from '../src/color/ColorDepths';
+import { WriteStream } from 'tty';
+import { detectColorDepth } from '../src/color/detectColorDepth';
+
+describe('detect color depth', () => {
+  const tty = { isTTY: true } as unknown as WriteStream;
+  const file = { isTTY: false } as unknown as WriteStream;
+
+  it('should properly disable colors if stream is not a TTY', () => {
+    expect.hasAssertions();
+    expect(detectColorDepth(file, { COLORTERM: 'truecolor' })).toStrictEqual(COLOR_DEPTHS.NONE);
+  });
+
+  it('should properly disable colors if NO_COLOR is set', () => {
+    expect.hasAssertions();
+    expect(detectColorDepth(tty, { COLORTERM: 'truecolor', NO_COLOR: '1' })).toStrictEqual(COLOR_DEPTHS.NONE);
+    expect(detectColorDepth(tty, { COLORTERM: 'truecolor', NO_COLOR: '' })).toStrictEqual(COLOR_DEPTHS.TRUECOLOR);
+  });
+
+  it('should properly force color depth from FORCE_COLOR', () => {
+    expect.hasAssertions();
+    expect(detectColorDepth(tty, { COLORTERM: 'truecolor', FORCE_COLOR: '0' })).toStrictEqual(COLOR_DEPTHS.NONE);
+    expect(detectColorDepth(tty, { COLORTERM: 'truecolor', FORCE_COLOR: 'false' })).toStrictEqual(COLOR_DEPTHS.NONE);
+    expect(detectColorDepth(file, { FORCE_COLOR: '' })).toStrictEqual(COLOR_DEPTHS.ANSI_16);
+    expect(detectColorDepth(file, { FORCE_COLOR: 'true' })).toStrictEqual(COLOR_DEPTHS.ANSI_16);
+    expect(detectColorDepth(file, { FORCE_COLOR: '1' })).toStrictEqual(COLOR_DEPTHS.ANSI_16);
+    expect(detectColorDepth(file, { FORCE_COLOR: '2' })).toStrictEqual(COLOR_DEPTHS.ANSI_256);
+    expect(detectColorDepth(file, { FORCE_COLOR: '3' })).toStrictEqual(COLOR_DEPTHS.TRUECOLOR);
+    expect(detectColorDepth(file, { FORCE_COLOR: '9' })).toStrictEqual(COLOR_DEPTHS.TRUECOLOR);
+  });
+
+  it('should properly keep the detected color depth if it is higher than forced one', () => {
+    expect.hasAssertions();
+    expect(detectColorDepth(file, { FORCE_COLOR: '1', TERM: 'xterm-256color' })).toStrictEqual(COLOR_DEPTHS.ANSI_256);
+    expect(detectColorDepth(file, { FORCE_COLOR: '3', TERM: 'xterm-256color' })).toStrictEqual(COLOR_DEPTHS.TRUECOLOR);
+    expect(detectColorDepth(file, { FORCE_COLOR: '2', TERM: 'linux' })).toStrictEqual(COLOR_DEPTHS.ANSI_256);
+  });
+
+  it('should properly detect color depth from COLORTERM', () => {
+    expect.hasAssertions();
+    expect(detectColorDepth(tty, { COLORTERM: 'truecolor', TERM: 'xterm' })).toStrictEqual(COLOR_DEPTHS.TRUECOLOR);
+    expect(detectColorDepth(tty, { COLORTERM: '24bit' })).toStrictEqual(COLOR_DEPTHS.TRUECOLOR);
+    expect(detectColorDepth(tty, { COLORTERM: 'rxvt-xpm' })).toStrictEqual(COLOR_DEPTHS.ANSI_16);
+  });
+
+  it('should properly detect color depth from TERM', () => {
+    expect.hasAssertions();
+    expect(detectColorDepth(tty, { TERM: 'xterm-direct' })).toStrictEqual(COLOR_DEPTHS.TRUECOLOR);
+    expect(detectColorDepth(tty, { TERM: 'xterm-256color' })).toStrictEqual(COLOR_DEPTHS.ANSI_256);
+    expect(detectColorDepth(tty, { TERM: 'screen-256' })).toStrictEqual(COLOR_DEPTHS.ANSI_256);
+    expect(detectColorDepth(tty, { TERM: 'screen' })).toStrictEqual(COLOR_DEPTHS.ANSI_16);
+    expect(detectColorDepth(tty, { TERM: 'linux' })).toStrictEqual(COLOR_DEPTHS.ANSI_16);
+    expect(detectColorDepth(tty, { TERM: 'dumb' })).toStrictEqual(COLOR_DEPTHS.NONE);
+    expect(detectColorDepth(tty, {})).toStrictEqual(COLOR_DEPTHS.NONE);
+  });
+
+  it('should properly use the color depth of the TTY stream if it is available', () => {
+    expect.hasAssertions();
+
+    const getColorDepth = jest.fn(() => COLOR_DEPTHS.TRUECOLOR);
+    const windows = { getColorDepth, isTTY: true } as unknown as WriteStream;
+
+    expect(detectColorDepth(windows, {})).toStrictEqual(COLOR_DEPTHS.TRUECOLOR);
+    expect(getColorDepth).toHaveBeenCalledWith({});
+    expect(detectColorDepth(windows, { NO_COLOR: '1' })).toStrictEqual(COLOR_DEPTHS.NONE);
+
+    getColorDepth.mockReturnValue(COLOR_DEPTHS.ANSI_16);
+    expect(detectColorDepth(windows, { FORCE_COLOR: '2' })).toStrictEqual(COLOR_DEPTHS.ANSI_256);
+    expect(detectColorDepth(windows, { TERM: 'xterm-256color' })).toStrictEqual(COLOR_DEPTHS.ANSI_16);
+  });
+
+  it('should properly use process.env by default', () => {
+    expect.hasAssertions();
+
+    const env = { ...process.env };
+    process.env = { TERM: 'xterm-256color' };
+
+    expect(detectColorDepth(tty)).toStrictEqual(COLOR_DEPTHS.ANSI_256);
+
+    process.env = env;
+  });
+});
@@ -0,0 +1,33 @@
+import { ditherFloydSteinberg } from '../src/image/ditherFloydSteinberg';
+
+describe('dither floyd-steinberg', () => {
+  const quantizer = {
+    quantize: ({ r }: { r: number }) => {
+      const gray = r > 127 ? 255 : 0;
+      return { b: gray, g: gray, r: gray };
+    },
+    step: 255,
+  };
+
+  it('should properly preserve the average color of the area', () => {
+    expect.hasAssertions();
+
+    const pixels = Array.from({ length: 16 }, () => ({ alpha: 255, b: 64, g: 64, r: 64 }));
+    const result = ditherFloydSteinberg(pixels, 4, quantizer);
+
+    expect(result.filter((pixel) => pixel.r === 255)).toHaveLength(4);
+    expect(result.every((pixel) => pixel.r === pixel.g && pixel.g === pixel.b)).toBe(true);
+    expect(pixels[0]).toStrictEqual({ alpha: 255, b: 64, g: 64, r: 64 });
+  });
+
+  it('should properly keep the transparent pixels without spreading the error', () => {
+    expect.hasAssertions();
+
+    const pixels = [{ alpha: 0, b: 100, g: 100, r: 100 }, { alpha: 255, b: 100, g: 100, r: 100 }];
+
+    expect(ditherFloydSteinberg(pixels, 2, quantizer)).toStrictEqual([
+      { alpha: 0, b: 100, g: 100, r: 100 },
+      { alpha: 255, b: 0, g: 0, r: 0 },
+    ]);
+  });
+});
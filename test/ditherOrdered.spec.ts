@@ -0,0 +1,31 @@
+import { ditherOrdered } from '../src/image/ditherOrdered';
+
+describe('dither ordered', () => {
+  const quantizer = {
+    quantize: ({ r }: { r: number }) => {
+      const gray = r > 127 ? 255 : 0;
+      return { b: gray, g: gray, r: gray };
+    },
+    step: 255,
+  };
+
+  it('should properly fill the area between two colors with the Bayer pattern', () => {
+    expect.hasAssertions();
+
+    const pixels = Array.from({ length: 16 }, () => ({ alpha: 255, b: 128, g: 128, r: 128 }));
+    const result = ditherOrdered(pixels, 4, quantizer).map((pixel) => ['.', '#'][pixel.r / 255]);
+
+    expect(result.join('')).toStrictEqual('.#.##.#..#.##.#.');
+  });
+
+  it('should properly keep the transparent pixels', () => {
+    expect.hasAssertions();
+
+    const pixels = [{ alpha: 0, b: 200, g: 200, r: 200 }, { alpha: 255, b: 250, g: 250, r: 250 }];
+
+    expect(ditherOrdered(pixels, 2, quantizer)).toStrictEqual([
+      { alpha: 0, b: 200, g: 200, r: 200 },
+      { alpha: 255, b: 255, g: 255, r: 255 },
+    ]);
+  });
+});
@@ -0,0 +1,30 @@
+import { getGraphemeWidth } from '../src/grapheme/getGraphemeWidth';
+
+describe('get grapheme width', () => {
+  it('should properly return one column for narrow clusters', () => {
+    expect.hasAssertions();
+    expect(getGraphemeWidth('a')).toStrictEqual(1);
+    expect(getGraphemeWidth('é')).toStrictEqual(1);
+    expect(getGraphemeWidth('❤')).toStrictEqual(1);
+    expect(getGraphemeWidth('')).toStrictEqual(1);
+  });
+
+  it('should properly return two columns for East Asian Wide and Fullwidth chars', () => {
+    expect.hasAssertions();
+    expect(getGraphemeWidth('字')).toStrictEqual(2);
+    expect(getGraphemeWidth('한')).toStrictEqual(2);
+    expect(getGraphemeWidth('カ')).toStrictEqual(2);
+    expect(getGraphemeWidth('Ａ')).toStrictEqual(2);
+    expect(getGraphemeWidth('　')).toStrictEqual(2);
+    expect(getGraphemeWidth('\u{20000}')).toStrictEqual(2);
+  });
+
+  it('should properly return two columns for emoji presentation clusters', () => {
+    expect.hasAssertions();
+    expect(getGraphemeWidth('\u{1F600}')).toStrictEqual(2);
+    expect(getGraphemeWidth('❤️')).toStrictEqual(2);
+    expect(getGraphemeWidth('\u{1F44D}\u{1F3FD}')).toStrictEqual(2);
+    expect(getGraphemeWidth('\u{1F469}‍\u{1F469}‍\u{1F467}')).toStrictEqual(2);
+    expect(getGraphemeWidth('\u{1F1FA}\u{1F1E6}')).toStrictEqual(2);
+  });
+});
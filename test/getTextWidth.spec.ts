@@ -0,0 +1,11 @@
+import { getTextWidth } from '../src/grapheme/getTextWidth';
+
+describe('get text width', () => {
+  it('should properly return the number of columns of the text', () => {
+    expect.hasAssertions();
+    expect(getTextWidth('')).toStrictEqual(0);
+    expect(getTextWidth('abc')).toStrictEqual(3);
+    expect(getTextWidth('é')).toStrictEqual(1);
+    expect(getTextWidth('你好, 世界')).toStrictEqual(10);
+  });
+});
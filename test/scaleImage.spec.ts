@@ -0,0 +1,44 @@
+import { scaleImage } from '../src/image/scaleImage';
+
+describe('scale image', () => {
+  it('should properly average the pixels when downscaling', () => {
+    expect.hasAssertions();
+
+    const image = { data: [255, 0, 0, 0, 0, 255, 0, 0, 0, 0, 0, 0], height: 2, width: 2 };
+
+    expect(scaleImage(image, 1, 1)).toStrictEqual([{ alpha: 255, b: 64, g: 0, r: 64 }]);
+    expect(scaleImage(image, 2, 1)).toStrictEqual([
+      { alpha: 255, b: 0, g: 0, r: 128 },
+      { alpha: 255, b: 128, g: 0, r: 0 },
+    ]);
+  });
+
+  it('should properly repeat the pixels when upscaling', () => {
+    expect.hasAssertions();
+
+    const image = { data: Buffer.from([10, 20, 30, 40, 50, 60]), height: 1, width: 2 };
+
+    expect(scaleImage(image, 4, 2)).toStrictEqual([
+      { alpha: 255, b: 30, g: 20, r: 10 },
+      { alpha: 255, b: 30, g: 20, r: 10 },
+      { alpha: 255, b: 60, g: 50, r: 40 },
+      { alpha: 255, b: 60, g: 50, r: 40 },
+      { alpha: 255, b: 30, g: 20, r: 10 },
+      { alpha: 255, b: 30, g: 20, r: 10 },
+      { alpha: 255, b: 60, g: 50, r: 40 },
+      { alpha: 255, b: 60, g: 50, r: 40 },
+    ]);
+  });
+
+  it('should properly read the alpha channel of RGBA pixels', () => {
+    expect.hasAssertions();
+
+    const image = { data: new Uint8Array([255, 255, 255, 255, 0, 0, 0, 0]), height: 1, width: 2 };
+
+    expect(scaleImage(image, 2, 1)).toStrictEqual([
+      { alpha: 255, b: 255, g: 255, r: 255 },
+      { alpha: 0, b: 0, g: 0, r: 0 },
+    ]);
+    expect(scaleImage(image, 1, 1)).toStrictEqual([{ alpha: 128, b: 128, g: 128, r: 128 }]);
+  });
+});
@@ -0,0 +1,39 @@
+import { segmentGraphemes } from '../src/grapheme/segmentGraphemes';
+
+describe('segment graphemes', () => {
+  it('should properly split plain text into chars', () => {
+    expect.hasAssertions();
+    expect(segmentGraphemes('')).toStrictEqual([]);
+    expect(segmentGraphemes('abc')).toStrictEqual(['a', 'b', 'c']);
+    expect(segmentGraphemes('字\u{1F600}')).toStrictEqual(['字', '\u{1F600}']);
+  });
+
+  it('should properly keep combining marks with the base char', () => {
+    expect.hasAssertions();
+    expect(segmentGraphemes('éa')).toStrictEqual(['é', 'a']);
+    expect(segmentGraphemes('́a')).toStrictEqual(['́', 'a']);
+    expect(segmentGraphemes('❤️!')).toStrictEqual(['❤️', '!']);
+  });
+
+  it('should properly keep emoji modifiers and ZWJ sequences in one cluster', () => {
+    expect.hasAssertions();
+    expect(segmentGraphemes('\u{1F44D}\u{1F3FD}a')).toStrictEqual(['\u{1F44D}\u{1F3FD}', 'a']);
+    expect(segmentGraphemes('\u{1F469}‍\u{1F469}‍\u{1F467}a')).toStrictEqual([
+      '\u{1F469}‍\u{1F469}‍\u{1F467}', 'a',
+    ]);
+  });
+
+  it('should properly pair regional indicators into flags', () => {
+    expect.hasAssertions();
+    expect(segmentGraphemes('\u{1F1FA}\u{1F1E6}\u{1F1FA}\u{1F1F8}\u{1F1EC}')).toStrictEqual([
+      '\u{1F1FA}\u{1F1E6}', '\u{1F1FA}\u{1F1F8}', '\u{1F1EC}',
+    ]);
+  });
+
+  it('should properly keep tag sequences in one cluster', () => {
+    expect.hasAssertions();
+    expect(segmentGraphemes('\u{1F3F4}\u{E0067}\u{E0062}\u{E0065}\u{E006E}\u{E0067}\u{E007F}a')).toStrictEqual([
+      '\u{1F3F4}\u{E0067}\u{E0062}\u{E0065}\u{E006E}\u{E0067}\u{E007F}', 'a',
+    ]);
+  });
+});
@@ -0,0 +1,26 @@
+import { truncateText } from '../src/text/truncateText';
+
+describe('truncate text', () => {
+  it('should properly keep the text that fits into the width', () => {
+    expect.hasAssertions();
+    expect(truncateText('Hello', 5)).toStrictEqual('Hello');
+    expect(truncateText('Hello', 5, '…')).toStrictEqual('Hello');
+  });
+
+  it('should properly truncate the text with ellipsis', () => {
+    expect.hasAssertions();
+    expect(truncateText('Hello, world', 5)).toStrictEqual('Hello');
+    expect(truncateText('Hello, world', 5, '…')).toStrictEqual('Hell…');
+    expect(truncateText('Hello, world', 5, '...')).toStrictEqual('He...');
+    expect(truncateText('Hello, world', 2, '...')).toStrictEqual('..');
+    expect(truncateText('Hello, world', 0, '...')).toStrictEqual('');
+    expect(truncateText('Hello, world', -1, '...')).toStrictEqual('');
+  });
+
+  it('should properly drop wide chars and keep grapheme clusters', () => {
+    expect.hasAssertions();
+    expect(truncateText('你好', 3)).toStrictEqual('你');
+    expect(truncateText('你好', 1)).toStrictEqual('');
+    expect(truncateText('ééé', 2)).toStrictEqual('éé');
+  });
+});
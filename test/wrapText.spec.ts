@@ -0,0 +1,24 @@
+import { wrapText } from '../src/text/wrapText';
+
+describe('wrap text', () => {
+  it('should properly wrap the text by words', () => {
+    expect.hasAssertions();
+    expect(wrapText('Hello, world', 8)).toStrictEqual(['Hello,', 'world']);
+    expect(wrapText('a b c d', 3)).toStrictEqual(['a b', 'c d']);
+    expect(wrapText('short', 10)).toStrictEqual(['short']);
+    expect(wrapText('', 10)).toStrictEqual(['']);
+  });
+
+  it('should properly keep new lines in the text', () => {
+    expect.hasAssertions();
+    expect(wrapText('first line\n\nsecond', 6)).toStrictEqual(['first', 'line', '', 'second']);
+  });
+
+  it('should properly break the words that are longer than the width', () => {
+    expect.hasAssertions();
+    expect(wrapText('Supercalifragilistic', 8)).toStrictEqual(['Supercal', 'ifragili', 'stic']);
+    expect(wrapText('to Supercalifragilistic', 8)).toStrictEqual(['to', 'Supercal', 'ifragili', 'stic']);
+    expect(wrapText('你好世界', 3)).toStrictEqual(['你', '好', '世', '界']);
+    expect(wrapText('你好', 1)).toStrictEqual(['你', '好']);
+  });
+});